@@ -3,6 +3,224 @@
  * Handles all canvas drawing operations with efficient rendering
  */
 
+// Tools that drag out a shape instead of drawing freehand
+const SHAPE_KINDS = ['line', 'rectangle', 'ellipse', 'arrow'];
+// Text rendering (the SVG exporter uses the same values)
+const TEXT_FONT_FAMILY = 'sans-serif';
+const TEXT_LINE_HEIGHT = 1.2;
+
+// Selection overlay
+const SELECTION_COLOR = '#5B8CDB';
+const SELECTION_HANDLE_SIZE = 8;
+// Extra pixels around thin strokes that still count as a hit
+const HIT_TOLERANCE = 4;
+
+// Zoom limits and the step used by the zoom buttons
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+// Paint bucket: largest color difference (per channel, 0-255) that still
+// counts as the same region, and the largest sampled area (cells per side)
+const FILL_TOLERANCE = 48;
+const MAX_FILL_CELLS = 4096;
+
+// Redraws save a bitmap of every layer after this many drawables, so
+// undo/redo only replays what changed after them. A checkpoint only copies
+// the layers drawn on since the previous one, and no more are saved once
+// their copies would hold more than this many pixels in all
+const CHECKPOINT_INTERVAL = 50;
+const MAX_CHECKPOINT_PIXELS = 32e6;
+
+// Layers are rendered for a board area a bit larger than the window (margin
+// per side as a share of the window), so pans and zooms inside it only
+// recomposite. The margin shrinks to keep each layer bitmap within the budget
+const RENDER_MARGIN = 0.25;
+const MAX_LAYER_PIXELS = 8e6;
+// A view the rendered area doesn't cover (or zoomed in past its resolution)
+// is shown scaled until it has settled for this long, then rendered again
+const RENDER_SETTLE_DELAY = 150;
+
+// Logical board area (in board units) that every screen fits into its window
+// until the user pans or zooms, so everyone starts out seeing the same drawing
+const BOARD_WIDTH = 1920;
+const BOARD_HEIGHT = 1080;
+
+/**
+ * Build bounds from two corners
+ */
+function boundsFromBox(minX, minY, maxX, maxY) {
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Grow bounds by a margin on every side
+ */
+function padBounds(bounds, margin) {
+  return {
+    x: bounds.x - margin,
+    y: bounds.y - margin,
+    width: bounds.width + margin * 2,
+    height: bounds.height + margin * 2
+  };
+}
+
+/**
+ * Check whether bounds contain a point
+ */
+function containsPoint(bounds, point) {
+  return point.x >= bounds.x && point.x <= bounds.x + bounds.width &&
+    point.y >= bounds.y && point.y <= bounds.y + bounds.height;
+}
+
+/**
+ * Get the four corners of bounds (top-left, top-right, bottom-right, bottom-left)
+ */
+function getCorners(bounds) {
+  return [
+    { x: bounds.x, y: bounds.y },
+    { x: bounds.x + bounds.width, y: bounds.y },
+    { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+    { x: bounds.x, y: bounds.y + bounds.height }
+  ];
+}
+
+/**
+ * Distance from a point to a line segment
+ */
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Get the two outer corners of an arrow head
+ * Kept in sync with the server-side SVG exporter
+ */
+function getArrowHead(shape) {
+  const { start, end } = shape;
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const length = Math.max(10, shape.lineWidth * 3);
+  const spread = Math.PI / 7;
+  
+  return {
+    left: {
+      x: end.x - length * Math.cos(angle - spread),
+      y: end.y - length * Math.sin(angle - spread)
+    },
+    right: {
+      x: end.x - length * Math.cos(angle + spread),
+      y: end.y - length * Math.sin(angle + spread)
+    }
+  };
+}
+
+/**
+ * Flood fill a sampled image from a seed cell
+ * @param {Uint8ClampedArray} pixels - RGBA pixels, one per cell
+ * @param {number} cols - Columns in the image
+ * @param {number} rows - Rows in the image
+ * @param {Object} seed - Seed cell with x and y
+ * @param {number} tolerance - Largest per-channel difference from the seed color
+ * @returns {Uint8Array} Mask with 1 for every filled cell
+ */
+function floodFillMask(pixels, cols, rows, seed, tolerance) {
+  const mask = new Uint8Array(cols * rows);
+  const target = (seed.y * cols + seed.x) * 4;
+  const matches = (cell) => {
+    if (mask[cell]) return false;
+    const p = cell * 4;
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(pixels[p + c] - pixels[target + c]) > tolerance) return false;
+    }
+    return true;
+  };
+  
+  // Scanline fill: fill a whole row span, then queue spans above and below
+  const stack = [seed];
+  while (stack.length > 0) {
+    const { x: startX, y } = stack.pop();
+    const row = y * cols;
+    if (!matches(row + startX)) continue;
+    
+    let x = startX;
+    while (x > 0 && matches(row + x - 1)) x--;
+    
+    let spanAbove = false;
+    let spanBelow = false;
+    for (; x < cols && matches(row + x); x++) {
+      mask[row + x] = 1;
+      
+      if (y > 0) {
+        const above = matches(row - cols + x);
+        if (above && !spanAbove) stack.push({ x, y: y - 1 });
+        spanAbove = above;
+      }
+      if (y < rows - 1) {
+        const below = matches(row + cols + x);
+        if (below && !spanBelow) stack.push({ x, y: y + 1 });
+        spanBelow = below;
+      }
+    }
+  }
+  
+  return mask;
+}
+
+/**
+ * Grow a mask by one cell in every direction, so the fill tucks under
+ * the anti-aliased edges of the lines around it
+ */
+function dilateMask(mask, cols, rows) {
+  const grown = new Uint8Array(mask);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (!mask[y * cols + x]) continue;
+      if (x > 0) grown[y * cols + x - 1] = 1;
+      if (x < cols - 1) grown[y * cols + x + 1] = 1;
+      if (y > 0) grown[(y - 1) * cols + x] = 1;
+      if (y < rows - 1) grown[(y + 1) * cols + x] = 1;
+    }
+  }
+  return grown;
+}
+
+/**
+ * Encode a mask as runs of filled cells
+ * @returns {Array} Flat list of row, start column, length triples
+ */
+function maskToRuns(mask, cols, rows) {
+  const runs = [];
+  for (let y = 0; y < rows; y++) {
+    let x = 0;
+    while (x < cols) {
+      if (!mask[y * cols + x]) {
+        x++;
+        continue;
+      }
+      const start = x;
+      while (x < cols && mask[y * cols + x]) x++;
+      runs.push(y, start, x - start);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Add a smoothed stroke piece to the current path (which is already at its start)
+ */
+function traceStrokePiece(ctx, piece) {
+  if (piece.control) {
+    ctx.quadraticCurveTo(piece.control.x, piece.control.y, piece.end.x, piece.end.y);
+  } else {
+    ctx.lineTo(piece.end.x, piece.end.y);
+  }
+}
+
 class CanvasManager {
   constructor(canvasElement) {
     this.canvas = canvasElement;
@@ -14,19 +232,72 @@ class CanvasManager {
     // Drawing state
     this.isDrawing = false;
     this.currentPath = [];
-    this.tool = 'brush'; // 'brush' or 'eraser'
+    this.tool = 'brush'; // 'brush', 'eraser' or a shape tool
     this.color = '#000000';
+    this.fillColor = null; // Fill for shapes, null for outline only
     this.lineWidth = 3;
+    this.fontSize = 24;
     
-    // Operation history for local rendering
-    this.operations = [];
-    this.currentOperationIndex = -1;
+    // Shape being dragged out with the current shape tool
+    this.currentShape = null;
+    // In-progress shapes of other users, keyed by userId
+    this.remotePreviews = new Map();
+    // Selection box and rubber-band rectangle drawn on the preview overlay
+    this.selectionBounds = null;
+    this.selectionMarquee = null;
+    
+    // Room layers (bottom to top) and the layer new drawings go on
+    this.layers = [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+    this.activeLayerId = DEFAULT_LAYER_ID;
+    // Offscreen canvas per layer, composited onto the visible canvas
+    this.layerCanvases = new Map();
+    // Layer context the stroke in progress is drawn on
+    this.drawingCtx = null;
+    
+    // Canvas size in CSS pixels, and device pixels per CSS pixel for crisp rendering
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+    
+    // View onto the infinite board: world point at the top-left corner and zoom
+    this.view = { x: 0, y: 0, zoom: 1 };
+    // Whether the view still shows the logical board area (kept on resize)
+    this.viewFitted = true;
+    // Board area the layer bitmaps cover: top-left corner, size in device
+    // pixels and device pixels per board unit
+    this.renderArea = null;
+    this.renderTimeout = null;
+    // Called after the view or canvas size changes so the owner can move overlays
+    this.onViewChange = null;
+    // Called when the layer bitmaps were reset and the owner has to redraw them
+    this.onRenderAreaChange = null;
     
     // Performance optimization
     this.lastDrawTime = 0;
     this.drawThrottle = 16; // ~60fps
     this.pathBuffer = [];
     
+    // Decoded images for image operations, keyed by source URL
+    this.imageCache = new Map();
+    // Called when an image finishes loading so the owner can redraw
+    this.onImageLoad = null;
+    // Largest encoded image (in characters) before falling back to JPEG
+    this.maxImageSize = 2 * 1024 * 1024;
+    
+    // Paths built from fill masks, keyed by the (shared, never mutated) runs array
+    this.fillPaths = new WeakMap();
+    
+    // Layer bitmaps saved part way through the last redraws: { count, layers, pixels }
+    // (pixels counts only the copies a checkpoint made, not the shared ones)
+    this.checkpoints = [];
+    // Layers drawn on since the redraw in progress restored or saved a checkpoint
+    this.dirtyLayerIds = new Set();
+    // Keys of the drawables the last redraw rendered, to find what changed
+    this.renderedKeys = [];
+    // Keys for operations without an id (pending or preview operations)
+    this.objectKeys = new WeakMap();
+    this.nextObjectKey = 0;
+    
     // Initialize canvas
     this.initializeCanvas();
     // Event listeners are managed by main.js for WebSocket integration
@@ -36,6 +307,12 @@ class CanvasManager {
    * Initialize canvas with proper dimensions
    */
   initializeCanvas() {
+    // Overlay for rubber-band shape previews, so the drawing underneath is untouched
+    this.previewCanvas = document.createElement('canvas');
+    this.previewCanvas.className = 'preview-canvas';
+    this.canvas.insertAdjacentElement('afterend', this.previewCanvas);
+    this.previewCtx = this.previewCanvas.getContext('2d');
+    
     this.resizeCanvas();
     window.addEventListener('resize', () => this.resizeCanvas());
     
@@ -50,70 +327,319 @@ class CanvasManager {
    */
   resizeCanvas() {
     const container = this.canvas.parentElement;
-    const tempCanvas = document.createElement('canvas');
-    const tempCtx = tempCanvas.getContext('2d');
     
-    // Save current canvas content
-    tempCanvas.width = this.canvas.width;
-    tempCanvas.height = this.canvas.height;
-    tempCtx.drawImage(this.canvas, 0, 0);
+    // Resize, backing the CSS size with enough device pixels for high-DPI screens
+    this.width = container.clientWidth;
+    this.height = container.clientHeight;
+    this.pixelRatio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(this.width * this.pixelRatio);
+    this.canvas.height = Math.round(this.height * this.pixelRatio);
     
-    // Resize
-    this.canvas.width = container.clientWidth;
-    this.canvas.height = container.clientHeight;
+    this.previewCanvas.width = this.canvas.width;
+    this.previewCanvas.height = this.canvas.height;
     
-    // Fill with white background first
-    this.ctx.fillStyle = '#FFFFFF';
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.viewFitted) {
+      this.fitView();
+    }
     
-    // Restore content
-    this.ctx.drawImage(tempCanvas, 0, 0);
+    // Layers cover an area sized for the window, so they are rendered again
+    // from history rather than copied
+    this.resetRenderArea();
+    this.updateView();
   }
 
   /**
-   * Setup mouse and touch event listeners
+   * Show the logical board area centered in the window
    */
-  setupEventListeners() {
-    // Mouse events
-    this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-    this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-    this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-    this.canvas.addEventListener('mouseleave', () => this.stopDrawing());
-    
-    // Touch events for mobile support
-    this.canvas.addEventListener('touchstart', (e) => {
-      e.preventDefault();
-      const touch = e.touches[0];
-      this.startDrawing(this.getTouchPoint(touch));
-    }, { passive: false });
+  fitView() {
+    const zoom = Math.min(this.width / BOARD_WIDTH, this.height / BOARD_HEIGHT) || 1;
+    this.view = {
+      x: (BOARD_WIDTH - this.width / zoom) / 2,
+      y: (BOARD_HEIGHT - this.height / zoom) / 2,
+      zoom
+    };
+    this.viewFitted = true;
+  }
+
+  /**
+   * Convert a point on screen (CSS pixels from the canvas corner) to board coordinates
+   */
+  screenToWorld(point) {
+    return {
+      x: this.view.x + point.x / this.view.zoom,
+      y: this.view.y + point.y / this.view.zoom
+    };
+  }
+
+  /**
+   * Convert a board point to screen (CSS pixels from the canvas corner)
+   */
+  worldToScreen(point) {
+    return {
+      x: (point.x - this.view.x) * this.view.zoom,
+      y: (point.y - this.view.y) * this.view.zoom
+    };
+  }
+
+  /**
+   * Apply the view transform to a context so it draws in board coordinates
+   */
+  applyView(ctx) {
+    const { x, y, zoom } = this.view;
+    const scale = zoom * this.pixelRatio;
+    ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+  }
+
+  /**
+   * Move the view by a distance in screen pixels
+   */
+  panBy(dx, dy) {
+    this.view.x -= dx / this.view.zoom;
+    this.view.y -= dy / this.view.zoom;
+    this.viewFitted = false;
+    this.updateView();
+  }
+
+  /**
+   * Zoom by a factor, keeping the board point under a screen point in place
+   * @param {number} factor - Zoom multiplier
+   * @param {Object} point - Screen point to zoom around (defaults to the center)
+   */
+  zoomBy(factor, point = { x: this.width / 2, y: this.height / 2 }) {
+    const anchor = this.screenToWorld(point);
+    this.view.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.view.zoom * factor));
+    this.view.x = anchor.x - point.x / this.view.zoom;
+    this.view.y = anchor.y - point.y / this.view.zoom;
+    this.viewFitted = false;
+    this.updateView();
+  }
+
+  /**
+   * Go back to the logical board area every user starts with
+   */
+  resetView() {
+    this.fitView();
+    this.updateView();
+  }
+
+  /**
+   * Show the board in the new view right away (scaled from the rendered
+   * area) and render it again once the view settles if the area doesn't fit it
+   */
+  updateView() {
+    this.composite();
+    this.renderPreview();
     
-    this.canvas.addEventListener('touchmove', (e) => {
-      e.preventDefault();
-      const touch = e.touches[0];
-      this.draw(this.getTouchPoint(touch));
-    }, { passive: false });
+    clearTimeout(this.renderTimeout);
+    this.renderTimeout = null;
+    if (!this.renderAreaFitsView()) {
+      this.scheduleRenderAreaReset();
+    }
     
-    this.canvas.addEventListener('touchend', (e) => {
-      e.preventDefault();
-      this.stopDrawing();
-    });
+    if (this.onViewChange) {
+      this.onViewChange();
+    }
   }
 
   /**
-   * Get touch point coordinates
+   * Choose the board area to render for the current view: the window plus
+   * a margin, at the view's resolution
+   * @returns {Object} Area with x, y (board units), pixelWidth, pixelHeight and scale
    */
-  getTouchPoint(touch) {
-    const rect = this.canvas.getBoundingClientRect();
+  computeRenderArea() {
+    const scale = this.view.zoom * this.pixelRatio;
+    // Largest margin (per side) whose bitmap stays within the budget
+    const budget = MAX_LAYER_PIXELS / Math.max(1, this.canvas.width * this.canvas.height);
+    const margin = Math.max(0, Math.min(RENDER_MARGIN, (Math.sqrt(budget) - 1) / 2));
+    const marginX = Math.round(this.canvas.width * margin);
+    const marginY = Math.round(this.canvas.height * margin);
+    
     return {
-      clientX: touch.clientX,
-      clientY: touch.clientY
+      x: this.view.x - marginX / scale,
+      y: this.view.y - marginY / scale,
+      pixelWidth: this.canvas.width + marginX * 2,
+      pixelHeight: this.canvas.height + marginY * 2,
+      scale
     };
   }
 
   /**
-   * Get mouse/touch coordinates relative to canvas
+   * Check whether the rendered area covers the whole view at a resolution
+   * that looks right (not zoomed in past it, nor far out)
    */
-  getCoordinates(e) {
+  renderAreaFitsView() {
+    const area = this.renderArea;
+    const scale = this.view.zoom * this.pixelRatio;
+    if (!area || scale > area.scale * 1.001 || scale < area.scale / 2) return false;
+    
+    const bottomRight = this.screenToWorld({ x: this.width, y: this.height });
+    return this.view.x >= area.x && this.view.y >= area.y &&
+      bottomRight.x <= area.x + area.pixelWidth / area.scale &&
+      bottomRight.y <= area.y + area.pixelHeight / area.scale;
+  }
+
+  /**
+   * Render the layers for a new area once the view has settled
+   */
+  scheduleRenderAreaReset() {
+    clearTimeout(this.renderTimeout);
+    this.renderTimeout = setTimeout(() => {
+      this.renderTimeout = null;
+      // Don't wipe a stroke in progress; try again once it's done
+      if (this.isDrawing) {
+        this.scheduleRenderAreaReset();
+        return;
+      }
+      this.resetRenderArea();
+    }, RENDER_SETTLE_DELAY);
+  }
+
+  /**
+   * Render the layers for a new area around the current view
+   * Their content (and the checkpoints) are gone, so the owner redraws
+   */
+  resetRenderArea() {
+    clearTimeout(this.renderTimeout);
+    this.renderTimeout = null;
+    
+    this.renderArea = this.computeRenderArea();
+    this.layerCanvases.forEach(layerCanvas => {
+      layerCanvas.width = this.renderArea.pixelWidth;
+      layerCanvas.height = this.renderArea.pixelHeight;
+    });
+    this.invalidateCheckpoints();
+    
+    // Resizing reset the transform of the layer a stroke is being drawn on
+    if (this.drawingCtx) {
+      this.drawingCtx = this.getLayerContext(this.activeLayerId);
+    }
+    
+    this.composite();
+    if (this.onRenderAreaChange) {
+      this.onRenderAreaChange();
+    }
+  }
+
+  /**
+   * Apply the render area transform to a layer context so it draws in board coordinates
+   */
+  applyRenderArea(ctx) {
+    const { x, y, scale } = this.renderArea;
+    ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+  }
+
+  /**
+   * Replace the room layers (bottom to top)
+   * @param {Array} layers - Layer objects with id, name, visible and locked
+   */
+  setLayers(layers) {
+    const previousIds = this.layers.map(l => l.id).sort().join(',');
+    this.layers = layers;
+    
+    // Operations may now map to different layers, so checkpoints are stale
+    if (layers.map(l => l.id).sort().join(',') !== previousIds) {
+      this.invalidateCheckpoints();
+    }
+    
+    // Forget the canvases of layers that no longer exist
+    const ids = new Set(layers.map(l => l.id));
+    [...this.layerCanvases.keys()].forEach(id => {
+      if (!ids.has(id)) this.layerCanvases.delete(id);
+    });
+    
+    if (!ids.has(this.activeLayerId)) {
+      this.activeLayerId = ids.has(DEFAULT_LAYER_ID) ? DEFAULT_LAYER_ID : layers[layers.length - 1].id;
+    }
+  }
+
+  /**
+   * Choose the layer new drawings go on
+   */
+  setActiveLayer(layerId) {
+    if (this.getLayer(layerId)) {
+      this.activeLayerId = layerId;
+    }
+  }
+
+  /**
+   * Find a layer by id, falling back to the default layer like the server does
+   * @returns {Object|undefined} The layer
+   */
+  getLayer(layerId) {
+    return this.layers.find(l => l.id === layerId) ||
+      this.layers.find(l => l.id === DEFAULT_LAYER_ID);
+  }
+
+  /**
+   * Check whether a layer is shown and unlocked (so it can be drawn on or picked)
+   */
+  isLayerEditable(layerId) {
+    const layer = this.getLayer(layerId);
+    return Boolean(layer && layer.visible && !layer.locked);
+  }
+
+  /**
+   * Get the drawing context of a layer, creating its canvas on first use
+   * @param {string} layerId - Layer ID (unknown layers map to the default layer)
+   * @returns {CanvasRenderingContext2D} Layer context
+   */
+  getLayerContext(layerId) {
+    const layer = this.getLayer(layerId);
+    const id = layer ? layer.id : DEFAULT_LAYER_ID;
+    let layerCanvas = this.layerCanvases.get(id);
+    
+    if (!layerCanvas) {
+      layerCanvas = document.createElement('canvas');
+      layerCanvas.width = this.renderArea.pixelWidth;
+      layerCanvas.height = this.renderArea.pixelHeight;
+      this.layerCanvases.set(id, layerCanvas);
+    }
+    this.dirtyLayerIds.add(id);
+    
+    const layerCtx = layerCanvas.getContext('2d');
+    layerCtx.lineCap = 'round';
+    layerCtx.lineJoin = 'round';
+    this.applyRenderArea(layerCtx);
+    return layerCtx;
+  }
+
+  /**
+   * Paint the visible layers onto the canvas, bottom to top, over the white board
+   * The layers cover the render area, placed and scaled for the current view
+   */
+  composite() {
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.globalCompositeOperation = 'source-over';
+    this.ctx.fillStyle = '#FFFFFF';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    
+    const area = this.renderArea;
+    const ratio = this.view.zoom * this.pixelRatio / area.scale;
+    let left = (area.x - this.view.x) * this.view.zoom * this.pixelRatio;
+    let top = (area.y - this.view.y) * this.view.zoom * this.pixelRatio;
+    // At the rendered resolution the layers are copied pixel for pixel
+    const sameScale = Math.abs(ratio - 1) < 0.001;
+    if (sameScale) {
+      left = Math.round(left);
+      top = Math.round(top);
+    }
+    this.ctx.imageSmoothingEnabled = !sameScale;
+    
+    this.layers.forEach(layer => {
+      const layerCanvas = this.layerCanvases.get(layer.id);
+      if (layer.visible && layerCanvas) {
+        this.ctx.drawImage(layerCanvas, left, top, layerCanvas.width * ratio, layerCanvas.height * ratio);
+      }
+    });
+    
+    this.ctx.restore();
+  }
+
+  /**
+   * Get pointer position relative to the canvas, in screen pixels
+   */
+  getScreenPoint(e) {
     const rect = this.canvas.getBoundingClientRect();
     return {
       x: e.clientX - rect.left,
@@ -121,17 +647,41 @@ class CanvasManager {
     };
   }
 
+  /**
+   * Get pointer coordinates on the board
+   */
+  getCoordinates(e) {
+    return this.screenToWorld(this.getScreenPoint(e));
+  }
+
+  /**
+   * Get a stroke point for a pointer event, with pen pressure when there is any
+   * (mice report a fixed pressure and touch screens rarely a real one)
+   */
+  getStrokePoint(e) {
+    const point = this.getCoordinates(e);
+    if (e.pointerType === 'pen') {
+      point.pressure = Math.round(e.pressure * 100) / 100;
+    }
+    return point;
+  }
+
   /**
    * Start drawing
    */
   startDrawing(e) {
     this.isDrawing = true;
-    const point = this.getCoordinates(e);
-    this.currentPath = [point];
     
-    // Begin path
-    this.ctx.beginPath();
-    this.ctx.moveTo(point.x, point.y);
+    if (this.isShapeTool()) {
+      const point = this.getCoordinates(e);
+      this.currentShape = this.createShape(point, point);
+      return;
+    }
+    
+    this.currentPath = [this.getStrokePoint(e)];
+    
+    // Draw on the active layer
+    this.drawingCtx = this.getLayerContext(this.activeLayerId);
   }
 
   /**
@@ -140,31 +690,32 @@ class CanvasManager {
   draw(e) {
     if (!this.isDrawing) return;
     
+    if (this.currentShape) {
+      const point = this.getCoordinates(e);
+      this.currentShape = this.createShape(this.currentShape.start, point);
+      this.renderPreview();
+      return point;
+    }
+    
     const now = Date.now();
     if (now - this.lastDrawTime < this.drawThrottle) {
       // Buffer the point for later
-      this.pathBuffer.push(this.getCoordinates(e));
+      this.pathBuffer.push(this.getStrokePoint(e));
       return;
     }
     
     this.lastDrawTime = now;
-    const point = this.getCoordinates(e);
+    const point = this.getStrokePoint(e);
     
     // Add buffered points
     if (this.pathBuffer.length > 0) {
-      this.pathBuffer.forEach(p => {
-        this.currentPath.push(p);
-        this.drawLine(this.currentPath[this.currentPath.length - 2], p);
-      });
+      this.pathBuffer.forEach(p => this.addPathPoint(p));
       this.pathBuffer = [];
     }
     
     // Draw current point
-    this.currentPath.push(point);
-    if (this.currentPath.length > 1) {
-      const prevPoint = this.currentPath[this.currentPath.length - 2];
-      this.drawLine(prevPoint, point);
-    }
+    this.addPathPoint(point);
+    this.composite();
     
     // Return point for network transmission
     return point;
@@ -178,18 +729,29 @@ class CanvasManager {
     
     this.isDrawing = false;
     
-    // Flush any remaining buffered points
-    if (this.pathBuffer.length > 0) {
-      this.pathBuffer.forEach(p => {
-        this.currentPath.push(p);
-        if (this.currentPath.length > 1) {
-          const prevPoint = this.currentPath[this.currentPath.length - 2];
-          this.drawLine(prevPoint, p);
-        }
-      });
-      this.pathBuffer = [];
+    if (this.currentShape) {
+      const shape = this.currentShape;
+      this.currentShape = null;
+      this.renderPreview();
+      
+      // A click without dragging doesn't make a shape
+      if (shape.start.x === shape.end.x && shape.start.y === shape.end.y) {
+        return null;
+      }
+      
+      this.drawShape(shape, this.getLayerContext(this.activeLayerId));
+      this.composite();
+      return shape;
     }
     
+    // Flush any remaining buffered points and finish the curve at the last one
+    this.pathBuffer.forEach(p => this.addPathPoint(p));
+    this.pathBuffer = [];
+    if (this.currentPath.length > 1) {
+      this.drawLivePiece(getStrokeTail(this.currentPath));
+    }
+    this.composite();
+    
     // Create operation object
     const operation = {
       type: 'stroke',
@@ -204,98 +766,782 @@ class CanvasManager {
   }
 
   /**
-   * Draw a line between two points
+   * Add a point to the stroke in progress and draw the curve up to it
    */
-  drawLine(from, to) {
+  addPathPoint(point) {
+    this.currentPath.push(point);
+    if (this.currentPath.length > 1) {
+      this.drawLivePiece(getStrokePiece(this.currentPath, this.currentPath.length - 1));
+    }
+  }
+
+  /**
+   * Draw one smoothed piece of the stroke in progress
+   */
+  drawLivePiece(piece) {
+    const ctx = this.drawingCtx;
     if (this.tool === 'eraser') {
-      this.ctx.globalCompositeOperation = 'destination-out';
-      this.ctx.strokeStyle = 'rgba(0,0,0,1)'; // Color doesn't matter for destination-out
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.strokeStyle = 'rgba(0,0,0,1)'; // Color doesn't matter for destination-out
     } else {
-      this.ctx.globalCompositeOperation = 'source-over';
-      this.ctx.strokeStyle = this.color;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.strokeStyle = this.color;
     }
-    this.ctx.lineWidth = this.lineWidth;
+    ctx.lineWidth = getPressureWidth(this.lineWidth, piece.widthPoint);
     
-    this.ctx.lineTo(to.x, to.y);
-    this.ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(piece.start.x, piece.start.y);
+    traceStrokePiece(ctx, piece);
+    ctx.stroke();
   }
 
   /**
    * Draw a complete path (for remote users or history replay)
    */
-  drawPath(path) {
+  drawPath(path, ctx = this.ctx) {
     if (!path.points || path.points.length === 0) return;
     
-    this.ctx.save();
+    ctx.save();
     
     if (path.tool === 'eraser') {
-      this.ctx.globalCompositeOperation = 'destination-out';
-      this.ctx.strokeStyle = 'rgba(0,0,0,1)'; // Color doesn't matter for destination-out
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.strokeStyle = 'rgba(0,0,0,1)'; // Color doesn't matter for destination-out
     } else {
-      this.ctx.globalCompositeOperation = 'source-over';
-      this.ctx.strokeStyle = path.color;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.strokeStyle = path.color;
     }
     
-    this.ctx.lineWidth = path.lineWidth;
-    this.ctx.lineCap = 'round';
-    this.ctx.lineJoin = 'round';
+    ctx.lineWidth = path.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    const pieces = getStrokePieces(path.points);
+    
+    // Pen strokes change width along the way, so draw them piece by piece
+    // exactly like they were drawn live
+    if (hasPressure(path.points)) {
+      pieces.forEach(piece => {
+        ctx.lineWidth = getPressureWidth(path.lineWidth, piece.widthPoint);
+        ctx.beginPath();
+        ctx.moveTo(piece.start.x, piece.start.y);
+        traceStrokePiece(ctx, piece);
+        ctx.stroke();
+      });
+      ctx.restore();
+      return;
+    }
+    
+    ctx.beginPath();
+    ctx.moveTo(path.points[0].x, path.points[0].y);
+    pieces.forEach(piece => traceStrokePiece(ctx, piece));
+    
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Draw any stored operation (for remote users or history replay)
+   */
+  drawOperation(operation) {
+    this.renderOperation(operation);
+    this.composite();
+  }
+
+  /**
+   * Draw an operation onto its layer without updating the visible canvas
+   */
+  renderOperation(operation) {
+    if (operation.type === 'clear') {
+      const layerIds = operation.data && operation.data.layerIds;
+      this.clearLayers(layerIds || this.layers.map(l => l.id));
+      return;
+    }
+    if (!operation.data) return;
+    
+    this.renderOperationTo(operation, this.getLayerContext(getLayerId(operation)));
+  }
+
+  /**
+   * Draw a drawable operation onto a context
+   */
+  renderOperationTo(operation, ctx) {
+    if (operation.type === 'image') {
+      this.drawImageData(operation.data, ctx);
+    } else if (operation.type === 'fill') {
+      this.drawFill(operation.data, ctx);
+    } else if (operation.type === 'shape') {
+      this.drawShape(operation.data, ctx);
+    } else if (operation.type === 'text') {
+      this.drawText(operation.data, ctx);
+    } else if (operation.data.points) {
+      this.drawPath(operation.data, ctx);
+    }
+  }
+
+  /**
+   * Build shape data for the current tool between two points
+   */
+  createShape(start, end) {
+    return {
+      type: 'shape',
+      kind: this.tool,
+      start,
+      end,
+      color: this.color,
+      fillColor: this.fillColor,
+      lineWidth: this.lineWidth
+    };
+  }
+
+  /**
+   * Draw a shape (line, rectangle, ellipse or arrow)
+   */
+  drawShape(shape, ctx = this.ctx) {
+    const { start, end } = shape;
     
-    this.ctx.beginPath();
-    this.ctx.moveTo(path.points[0].x, path.points[0].y);
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.fillColor || shape.color;
+    ctx.lineWidth = shape.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
     
-    for (let i = 1; i < path.points.length; i++) {
-      this.ctx.lineTo(path.points[i].x, path.points[i].y);
+    switch (shape.kind) {
+      case 'line':
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        break;
+        
+      case 'rectangle':
+        ctx.rect(
+          Math.min(start.x, end.x),
+          Math.min(start.y, end.y),
+          Math.abs(end.x - start.x),
+          Math.abs(end.y - start.y)
+        );
+        if (shape.fillColor) ctx.fill();
+        ctx.stroke();
+        break;
+        
+      case 'ellipse':
+        ctx.ellipse(
+          (start.x + end.x) / 2,
+          (start.y + end.y) / 2,
+          Math.abs(end.x - start.x) / 2,
+          Math.abs(end.y - start.y) / 2,
+          0, 0, Math.PI * 2
+        );
+        if (shape.fillColor) ctx.fill();
+        ctx.stroke();
+        break;
+        
+      case 'arrow': {
+        const head = getArrowHead(shape);
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        
+        // The head is always filled with the line color
+        ctx.beginPath();
+        ctx.fillStyle = shape.color;
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(head.left.x, head.left.y);
+        ctx.lineTo(head.right.x, head.right.y);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        break;
+      }
     }
     
-    this.ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Get the canvas font for text data
+   */
+  getFont(text) {
+    return `${text.fontSize}px ${TEXT_FONT_FAMILY}`;
+  }
+
+  /**
+   * Draw a text object (top-left anchored, one line per newline)
+   */
+  drawText(text, ctx = this.ctx) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.font = this.getFont(text);
+    ctx.fillStyle = text.color;
+    ctx.textBaseline = 'top';
+    
+    text.text.split('\n').forEach((line, i) => {
+      ctx.fillText(line, text.x, text.y + i * text.fontSize * TEXT_LINE_HEIGHT);
+    });
+    
+    ctx.restore();
+  }
+
+  /**
+   * Measure the box covered by a text object
+   * @returns {Object} Bounds with x, y, width and height
+   */
+  measureText(text) {
+    this.ctx.save();
+    this.ctx.font = this.getFont(text);
+    const lines = text.text.split('\n');
+    const width = Math.max(...lines.map(line => this.ctx.measureText(line).width));
     this.ctx.restore();
+    
+    return {
+      x: text.x,
+      y: text.y,
+      width,
+      height: lines.length * text.fontSize * TEXT_LINE_HEIGHT
+    };
+  }
+
+  /**
+   * Find the topmost text object under a point
+   * @param {Array} operations - Active operations
+   * @param {Object} point - Canvas coordinates
+   * @returns {Object|null} The text operation (with edits applied)
+   */
+  findTextAt(operations, point) {
+    const texts = resolveOperations(operations)
+      .filter(op => op.type === 'text' && this.isLayerEditable(getLayerId(op)));
+    
+    for (let i = texts.length - 1; i >= 0; i--) {
+      if (containsPoint(this.measureText(texts[i].data), point)) {
+        return texts[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Redraw the preview overlay (own shape in progress plus remote ones)
+   */
+  renderPreview() {
+    this.previewCtx.setTransform(1, 0, 0, 1, 0, 0);
+    this.previewCtx.clearRect(0, 0, this.previewCanvas.width, this.previewCanvas.height);
+    
+    this.applyView(this.previewCtx);
+    this.remotePreviews.forEach(shape => this.drawShape(shape, this.previewCtx));
+    if (this.currentShape) {
+      this.drawShape(this.currentShape, this.previewCtx);
+    }
+    
+    // Selection chrome keeps the same on-screen size at any zoom
+    this.previewCtx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    this.drawSelection(this.previewCtx);
+  }
+
+  /**
+   * Show the selection box and/or rubber-band rectangle
+   * @param {Object|null} bounds - Bounds of the selected operations
+   * @param {Object|null} marquee - Rectangle being dragged out
+   */
+  setSelectionOverlay(bounds, marquee = null) {
+    this.selectionBounds = bounds;
+    this.selectionMarquee = marquee;
+    this.renderPreview();
+  }
+
+  /**
+   * Draw the selection box with its resize handles
+   */
+  drawSelection(ctx) {
+    ctx.save();
+    ctx.strokeStyle = SELECTION_COLOR;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    
+    if (this.selectionMarquee) {
+      const m = this.toScreenBounds(this.selectionMarquee);
+      ctx.fillStyle = 'rgba(91, 140, 219, 0.1)';
+      ctx.fillRect(m.x, m.y, m.width, m.height);
+      ctx.strokeRect(m.x, m.y, m.width, m.height);
+    }
+    
+    if (this.selectionBounds) {
+      const b = this.toScreenBounds(this.selectionBounds);
+      ctx.strokeRect(b.x, b.y, b.width, b.height);
+      
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#FFFFFF';
+      getCorners(b).forEach(corner => {
+        const half = SELECTION_HANDLE_SIZE / 2;
+        ctx.fillRect(corner.x - half, corner.y - half, SELECTION_HANDLE_SIZE, SELECTION_HANDLE_SIZE);
+        ctx.strokeRect(corner.x - half, corner.y - half, SELECTION_HANDLE_SIZE, SELECTION_HANDLE_SIZE);
+      });
+    }
+    
+    ctx.restore();
+  }
+
+  /**
+   * Convert board bounds to screen bounds
+   */
+  toScreenBounds(bounds) {
+    const topLeft = this.worldToScreen(bounds);
+    return {
+      x: topLeft.x,
+      y: topLeft.y,
+      width: bounds.width * this.view.zoom,
+      height: bounds.height * this.view.zoom
+    };
+  }
+
+  /**
+   * Get the box covered by a drawable operation
+   * @returns {Object|null} Bounds with x, y, width and height
+   */
+  getOperationBounds(op) {
+    const data = op.data;
+    
+    switch (op.type) {
+      case 'stroke': {
+        if (!data.points || data.points.length === 0) return null;
+        const xs = data.points.map(p => p.x);
+        const ys = data.points.map(p => p.y);
+        return padBounds(boundsFromBox(
+          Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)
+        ), data.lineWidth / 2);
+      }
+        
+      case 'shape': {
+        const margin = data.lineWidth / 2 + (data.kind === 'arrow' ? Math.max(10, data.lineWidth * 3) : 0);
+        return padBounds(boundsFromBox(
+          Math.min(data.start.x, data.end.x), Math.min(data.start.y, data.end.y),
+          Math.max(data.start.x, data.end.x), Math.max(data.start.y, data.end.y)
+        ), margin);
+      }
+        
+      case 'text':
+        return this.measureText(data);
+        
+      case 'image':
+      case 'fill':
+        return { x: data.x, y: data.y, width: data.width, height: data.height };
+        
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check whether a point is on a drawable operation
+   * Eraser strokes can't be picked, they only remove pixels
+   */
+  hitTest(op, point) {
+    const data = op.data;
+    const bounds = this.getOperationBounds(op);
+    // The tolerance is in screen pixels, so it stays the same at any zoom
+    const tolerance = HIT_TOLERANCE / this.view.zoom;
+    if (!bounds || !containsPoint(padBounds(bounds, tolerance), point)) return false;
+    
+    if (op.type === 'stroke') {
+      if (data.tool === 'eraser') return false;
+      const reach = data.lineWidth / 2 + tolerance;
+      if (data.points.length === 1) {
+        return distanceToSegment(point, data.points[0], data.points[0]) <= reach;
+      }
+      for (let i = 1; i < data.points.length; i++) {
+        if (distanceToSegment(point, data.points[i - 1], data.points[i]) <= reach) return true;
+      }
+      return false;
+    }
+    
+    if (op.type === 'shape' && (data.kind === 'line' || data.kind === 'arrow')) {
+      return distanceToSegment(point, data.start, data.end) <= data.lineWidth / 2 + tolerance;
+    }
+    
+    if (op.type === 'fill') {
+      return this.fillContains(data, point);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Find the topmost operation under a point
+   * @param {Array} operations - Active operations
+   * @param {Object} point - Canvas coordinates
+   * @returns {Object|null} The resolved operation
+   */
+  findOperationAt(operations, point) {
+    const drawables = resolveOperations(operations)
+      .filter(op => this.isLayerEditable(getLayerId(op)));
+    for (let i = drawables.length - 1; i >= 0; i--) {
+      if (drawables[i].id && this.hitTest(drawables[i], point)) {
+        return drawables[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find all operations fully inside a rectangle
+   * @param {Array} operations - Active operations
+   * @param {Object} rect - Rectangle with x, y, width and height
+   * @returns {Array} The resolved operations
+   */
+  findOperationsInRect(operations, rect) {
+    return resolveOperations(operations).filter(op => {
+      if (!op.id || (op.type === 'stroke' && op.data.tool === 'eraser')) return false;
+      if (!this.isLayerEditable(getLayerId(op))) return false;
+      const bounds = this.getOperationBounds(op);
+      return bounds &&
+        bounds.x >= rect.x && bounds.y >= rect.y &&
+        bounds.x + bounds.width <= rect.x + rect.width &&
+        bounds.y + bounds.height <= rect.y + rect.height;
+    });
+  }
+
+  /**
+   * Show or remove another user's shape in progress
+   * @param {string} userId - User drawing the shape
+   * @param {Object|null} shape - Shape data, or null to remove the preview
+   */
+  setRemotePreview(userId, shape) {
+    if (shape) {
+      this.remotePreviews.set(userId, shape);
+    } else {
+      this.remotePreviews.delete(userId);
+    }
+    this.renderPreview();
+  }
+
+  /**
+   * Check whether the current tool draws shapes
+   */
+  isShapeTool() {
+    return SHAPE_KINDS.includes(this.tool);
+  }
+
+  /**
+   * Draw an image operation at its stored position and size
+   */
+  drawImageData(data, ctx = this.ctx) {
+    const img = this.getImage(data.src);
+    // Not decoded yet - onImageLoad will trigger a redraw
+    if (!img) return;
+    
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawImage(img, data.x, data.y, data.width, data.height);
+    ctx.restore();
+  }
+
+  /**
+   * Draw a paint bucket fill from its stored mask
+   */
+  drawFill(data, ctx = this.ctx) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = data.color;
+    ctx.translate(data.x, data.y);
+    ctx.scale(data.width / data.cols, data.height / data.rows);
+    ctx.fill(this.getFillPath(data));
+    ctx.restore();
+  }
+
+  /**
+   * Get the path (in mask cells) covered by a fill, building it on first use
+   * @returns {Path2D} One rectangle per run of filled cells
+   */
+  getFillPath(data) {
+    let path = this.fillPaths.get(data.runs);
+    
+    if (!path) {
+      path = new Path2D();
+      for (let i = 0; i < data.runs.length; i += 3) {
+        path.rect(data.runs[i + 1], data.runs[i], data.runs[i + 2], 1);
+      }
+      this.fillPaths.set(data.runs, path);
+    }
+    
+    return path;
+  }
+
+  /**
+   * Check whether a board point is on a filled cell of a fill
+   */
+  fillContains(data, point) {
+    const col = Math.floor((point.x - data.x) / (data.width / data.cols));
+    const row = Math.floor((point.y - data.y) / (data.height / data.rows));
+    
+    for (let i = 0; i < data.runs.length; i += 3) {
+      if (data.runs[i] === row && col >= data.runs[i + 1] && col < data.runs[i + 1] + data.runs[i + 2]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Compute a paint bucket fill at a point
+   * The visible part of the board is sampled at screen resolution and the
+   * result is stored as a mask, so every client replays the same cells no
+   * matter their zoom, and later changes underneath don't move the fill
+   * @param {Array} operations - Active operations
+   * @param {Object} point - Board coordinates of the click
+   * @returns {Object|null} Fill operation data, or null if nothing was filled
+   */
+  createFill(operations, point) {
+    // One cell per screen pixel, capped for very large windows
+    const cellSize = Math.max(1 / this.view.zoom, Math.max(this.width, this.height) / this.view.zoom / MAX_FILL_CELLS);
+    const cols = Math.ceil(this.width / this.view.zoom / cellSize);
+    const rows = Math.ceil(this.height / this.view.zoom / cellSize);
+    const seed = {
+      x: Math.floor((point.x - this.view.x) / cellSize),
+      y: Math.floor((point.y - this.view.y) / cellSize)
+    };
+    if (seed.x < 0 || seed.y < 0 || seed.x >= cols || seed.y >= rows) return null;
+    
+    const pixels = this.sampleBoard(operations, this.view.x, this.view.y, cellSize, cols, rows);
+    const mask = dilateMask(floodFillMask(pixels, cols, rows, seed, FILL_TOLERANCE), cols, rows);
+    const runs = maskToRuns(mask, cols, rows);
+    if (runs.length === 0) return null;
+    
+    return {
+      type: 'fill',
+      x: this.view.x,
+      y: this.view.y,
+      width: cols * cellSize,
+      height: rows * cellSize,
+      cols,
+      rows,
+      runs,
+      color: this.color,
+      tolerance: FILL_TOLERANCE
+    };
+  }
+
+  /**
+   * Render the visible layers of part of the board into pixels
+   * @returns {Uint8ClampedArray} RGBA pixels, one per cell
+   */
+  sampleBoard(operations, x, y, cellSize, cols, rows) {
+    const sample = document.createElement('canvas');
+    sample.width = cols;
+    sample.height = rows;
+    const sampleCtx = sample.getContext('2d');
+    sampleCtx.fillStyle = '#FFFFFF';
+    sampleCtx.fillRect(0, 0, cols, rows);
+    
+    // Each layer on its own canvas so erasers only affect their own layer
+    const layerCanvas = document.createElement('canvas');
+    layerCanvas.width = cols;
+    layerCanvas.height = rows;
+    const layerCtx = layerCanvas.getContext('2d');
+    const drawables = resolveOperations(operations);
+    
+    this.layers.filter(layer => layer.visible).forEach(layer => {
+      layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+      layerCtx.clearRect(0, 0, cols, rows);
+      layerCtx.setTransform(1 / cellSize, 0, 0, 1 / cellSize, -x / cellSize, -y / cellSize);
+      
+      drawables
+        .filter(op => this.getLayer(getLayerId(op)) === layer)
+        .forEach(op => this.renderOperationTo(op, layerCtx));
+      sampleCtx.drawImage(layerCanvas, 0, 0);
+    });
+    
+    return sampleCtx.getImageData(0, 0, cols, rows).data;
+  }
+
+  /**
+   * Get a decoded image from the cache, starting the load if needed
+   * @returns {HTMLImageElement|null} The image, or null while it is loading
+   */
+  getImage(src) {
+    let img = this.imageCache.get(src);
+    
+    if (!img) {
+      img = new Image();
+      img.onload = () => {
+        // Checkpoints taken while the image was loading are missing it
+        this.invalidateCheckpoints();
+        if (this.onImageLoad) {
+          this.onImageLoad();
+        }
+      };
+      img.src = src;
+      this.imageCache.set(src, img);
+    }
+    
+    return img.complete && img.naturalWidth > 0 ? img : null;
   }
 
   /**
    * Draw a smooth path segment (for real-time updates)
    */
-  drawPathSegment(point, color, lineWidth, tool = 'brush') {
-    this.ctx.save();
+  drawPathSegment(point, color, lineWidth, tool = 'brush', layerId = DEFAULT_LAYER_ID) {
+    const ctx = this.getLayerContext(layerId);
+    ctx.save();
     
     if (tool === 'eraser') {
-      this.ctx.globalCompositeOperation = 'destination-out';
-      this.ctx.fillStyle = 'rgba(0,0,0,1)'; // Color doesn't matter for destination-out
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.fillStyle = 'rgba(0,0,0,1)'; // Color doesn't matter for destination-out
     } else {
-      this.ctx.globalCompositeOperation = 'source-over';
-      this.ctx.fillStyle = color;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.fillStyle = color;
     }
     
-    this.ctx.lineCap = 'round';
-    this.ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
     
-    this.ctx.beginPath();
-    this.ctx.arc(point.x, point.y, lineWidth / 2, 0, Math.PI * 2);
-    this.ctx.fill();
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, getPressureWidth(lineWidth, point) / 2, 0, Math.PI * 2);
+    ctx.fill();
     
-    this.ctx.restore();
+    ctx.restore();
+    this.composite();
   }
 
   /**
    * Redraw canvas from operation history
    */
   redrawFromHistory(operations) {
-    this.clearCanvas();
-    operations.forEach(op => {
-      if (op.data && op.data.points) {
-        this.drawPath(op.data);
+    const drawables = resolveOperations(operations);
+    const keys = this.getDrawableKeys(operations, drawables);
+    
+    // Length of the part of the board that hasn't changed since the last redraw
+    let unchanged = 0;
+    while (unchanged < keys.length && keys[unchanged] === this.renderedKeys[unchanged]) {
+      unchanged++;
+    }
+    
+    // Start from the last checkpoint inside the unchanged part
+    this.checkpoints = this.checkpoints.filter(c => c.count <= unchanged);
+    const checkpoint = this.checkpoints[this.checkpoints.length - 1];
+    let start = 0;
+    
+    this.clearLayers([...this.layerCanvases.keys()]);
+    if (checkpoint) {
+      this.restoreCheckpoint(checkpoint);
+      start = checkpoint.count;
+    }
+    this.dirtyLayerIds.clear();
+    
+    for (let i = start; i < drawables.length; i++) {
+      this.renderOperation(drawables[i]);
+      if ((i + 1) % CHECKPOINT_INTERVAL === 0) {
+        this.saveCheckpoint(i + 1);
       }
+    }
+    
+    this.renderedKeys = keys;
+    this.composite();
+  }
+
+  /**
+   * Get a key per drawable that changes whenever what it draws could change
+   * (its id plus the ids of every edit applied to it)
+   * @param {Array} operations - Operations the drawables were resolved from
+   * @param {Array} drawables - Resolved drawables
+   * @returns {Array} Keys in drawing order
+   */
+  getDrawableKeys(operations, drawables) {
+    const edits = new Map();
+    operations.forEach(op => {
+      if (!op.data || op.type === 'clear' || !isEditOperation(op)) return;
+      const targetIds = op.data.targetIds || [op.data.targetId];
+      targetIds.forEach(id => {
+        edits.set(id, `${edits.get(id) || ''}+${this.getObjectKey(op)}`);
+      });
+    });
+    
+    return drawables.map(op => this.getObjectKey(op) + (edits.get(op.id) || ''));
+  }
+
+  /**
+   * Get an operation's id, or a stable key for operations without one
+   */
+  getObjectKey(op) {
+    if (op.id) return op.id;
+    if (!this.objectKeys.has(op)) {
+      this.objectKeys.set(op, `local_${this.nextObjectKey++}`);
+    }
+    return this.objectKeys.get(op);
+  }
+
+  /**
+   * Save the layers as they are after the first `count` drawables
+   * Layers not drawn on since the previous checkpoint share its copy, and
+   * layers nothing was drawn on yet aren't stored. Nothing is saved if the
+   * copies would take the checkpoints past MAX_CHECKPOINT_PIXELS
+   */
+  saveCheckpoint(count) {
+    const layerCanvases = [...this.dirtyLayerIds]
+      .filter(id => this.layerCanvases.has(id))
+      .map(id => [id, this.layerCanvases.get(id)]);
+    const pixels = layerCanvases.reduce(
+      (sum, [, layerCanvas]) => sum + layerCanvas.width * layerCanvas.height, 0);
+    const savedPixels = this.checkpoints.reduce((sum, checkpoint) => sum + checkpoint.pixels, 0);
+    if (savedPixels + pixels > MAX_CHECKPOINT_PIXELS) return;
+    
+    const previous = this.checkpoints[this.checkpoints.length - 1];
+    const layers = new Map(previous ? previous.layers : []);
+    
+    layerCanvases.forEach(([id, layerCanvas]) => {
+      const copy = document.createElement('canvas');
+      copy.width = layerCanvas.width;
+      copy.height = layerCanvas.height;
+      copy.getContext('2d').drawImage(layerCanvas, 0, 0);
+      layers.set(id, copy);
     });
+    this.dirtyLayerIds.clear();
+    
+    this.checkpoints.push({ count, layers, pixels });
+  }
+
+  /**
+   * Put saved layer bitmaps back (layers must already be cleared)
+   */
+  restoreCheckpoint(checkpoint) {
+    checkpoint.layers.forEach((copy, id) => {
+      const layerCtx = this.getLayerContext(id);
+      layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+      layerCtx.drawImage(copy, 0, 0);
+    });
+  }
+
+  /**
+   * Forget all checkpoints so the next redraw replays the whole history
+   */
+  invalidateCheckpoints() {
+    this.checkpoints = [];
+    this.renderedKeys = [];
   }
 
   /**
    * Clear the canvas
    */
   clearCanvas() {
-    this.ctx.save();
-    this.ctx.globalCompositeOperation = 'source-over';
-    this.ctx.fillStyle = '#FFFFFF';
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.restore();
+    this.invalidateCheckpoints();
+    this.clearLayers([...this.layerCanvases.keys()]);
+    this.composite();
+  }
+
+  /**
+   * Wipe the content of some layers
+   * @param {Array} layerIds - Layer IDs
+   */
+  clearLayers(layerIds) {
+    layerIds.forEach(id => {
+      const layerCanvas = this.layerCanvases.get(id);
+      if (layerCanvas) {
+        const layerCtx = layerCanvas.getContext('2d');
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+        this.dirtyLayerIds.add(id);
+      }
+    });
   }
 
   /**
@@ -304,6 +1550,9 @@ class CanvasManager {
   setTool(tool) {
     this.tool = tool;
     this.canvas.classList.toggle('eraser', tool === 'eraser');
+    this.canvas.classList.toggle('text', tool === 'text');
+    this.canvas.classList.toggle('select', tool === 'select');
+    this.canvas.classList.toggle('bucket', tool === 'bucket');
   }
 
   /**
@@ -313,6 +1562,13 @@ class CanvasManager {
     this.color = color;
   }
 
+  /**
+   * Set shape fill color (null for outline only)
+   */
+  setFillColor(color) {
+    this.fillColor = color;
+  }
+
   /**
    * Set line width
    */
@@ -320,6 +1576,13 @@ class CanvasManager {
     this.lineWidth = width;
   }
 
+  /**
+   * Set font size for the text tool
+   */
+  setFontSize(size) {
+    this.fontSize = size;
+  }
+
   /**
    * Get current tool settings
    */
@@ -327,7 +1590,9 @@ class CanvasManager {
     return {
       tool: this.tool,
       color: this.color,
-      lineWidth: this.lineWidth
+      fillColor: this.fillColor,
+      lineWidth: this.lineWidth,
+      fontSize: this.fontSize
     };
   }
 
@@ -339,14 +1604,59 @@ class CanvasManager {
   }
 
   /**
-   * Load image to canvas
+   * Re-encode an image at its display size to keep the synced payload small
+   * @returns {string} PNG data URL, or JPEG if the PNG would be too large
+   */
+  resampleImage(img, width, height) {
+    const tempCanvas = document.createElement('canvas');
+    const tempCtx = tempCanvas.getContext('2d');
+    tempCanvas.width = width;
+    tempCanvas.height = height;
+    tempCtx.drawImage(img, 0, 0, width, height);
+    
+    const png = tempCanvas.toDataURL('image/png');
+    if (png.length <= this.maxImageSize) {
+      return png;
+    }
+    
+    // JPEG has no transparency, so flatten onto the white board color
+    tempCtx.globalCompositeOperation = 'destination-over';
+    tempCtx.fillStyle = '#FFFFFF';
+    tempCtx.fillRect(0, 0, width, height);
+    return tempCanvas.toDataURL('image/jpeg', 0.85);
+  }
+
+  /**
+   * Load an image and place it centered in the visible part of the board
+   * @returns {Promise<Object>} Image operation data (src, x, y, width, height)
    */
   loadImage(dataUrl) {
-    const img = new Image();
-    img.onload = () => {
-      this.ctx.drawImage(img, 0, 0);
-    };
-    img.src = dataUrl;
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const visibleWidth = this.width / this.view.zoom;
+        const visibleHeight = this.height / this.view.zoom;
+        
+        // Shrink large images so they fit on screen, never enlarge small ones
+        const scale = Math.min(
+          1,
+          (visibleWidth * 0.9) / img.naturalWidth,
+          (visibleHeight * 0.9) / img.naturalHeight
+        );
+        const width = Math.round(img.naturalWidth * scale);
+        const height = Math.round(img.naturalHeight * scale);
+        
+        resolve({
+          src: this.resampleImage(img, width, height),
+          x: Math.round(this.view.x + (visibleWidth - width) / 2),
+          y: Math.round(this.view.y + (visibleHeight - height) / 2),
+          width,
+          height
+        });
+      };
+      img.onerror = () => reject(new Error('Could not decode image'));
+      img.src = dataUrl;
+    });
   }
 }
 
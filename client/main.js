@@ -3,6 +3,12 @@
  * Orchestrates all components and manages application state
  */
 
+// Room roles, from most to least allowed
+const USER_ROLES = ['owner', 'editor', 'viewer'];
+
+// Chat messages kept in the panel (the server sends at most this many on join)
+const MAX_CHAT_MESSAGES = 100;
+
 // Application state
 const app = {
   canvas: null,
@@ -10,7 +16,16 @@ const app = {
   remoteCursors: new Map(),
   users: [],
   operationHistory: [],
-  currentIndex: -1,
+  // Drawables compacted out of the server's undo window (not undoable)
+  baseOperations: [],
+  globalUndo: false,
+  // This user's role in the room and whether its board is locked
+  role: 'editor',
+  readOnly: false,
+  textEditor: null,
+  // Last screen point of a pan in progress, and whether space is held for panning
+  panPoint: null,
+  spaceHeld: false,
   fpsCounter: 0,
   lastFpsUpdate: Date.now()
 };
@@ -24,12 +39,41 @@ function initializeApp() {
   // Initialize canvas
   const canvasElement = document.getElementById('canvas');
   app.canvas = new CanvasManager(canvasElement);
+  app.canvas.onImageLoad = () => redrawCanvas();
+  app.canvas.onViewChange = () => handleViewChange();
+  app.canvas.onRenderAreaChange = () => redrawCanvas();
+  
+  // Initialize selection tool
+  app.selection = new SelectionManager(app.canvas);
+  app.selection.getOperations = () => getActiveOperations().filter(op => !op.pending);
+  app.selection.onPreview = () => redrawCanvas();
+  app.selection.onCommit = (data) => {
+    submitOperation(data);
+    redrawCanvas();
+  };
+  
+  updateLayersPanel();
   
   // Initialize WebSocket
   app.ws = new WebSocketManager();
   
+  // Links can name a room to open, with an invite for private rooms
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('room')) {
+    app.ws.roomId = params.get('room');
+    document.getElementById('roomIdInput').value = app.ws.roomId;
+  }
+  if (params.get('invite')) {
+    app.ws.credentials = { invite: params.get('invite') };
+  }
+  // Without a room in the link, offer the active rooms (the default room is joined meanwhile)
+  if (!params.get('room')) {
+    showLobby();
+  }
+  
   // Setup WebSocket event handlers
   setupWebSocketHandlers();
+  updatePendingIndicator(app.ws.getQueuedStrokes().length);
   
   // Setup UI event handlers
   setupUIHandlers();
@@ -63,53 +107,117 @@ function setupWebSocketHandlers() {
   
   // Canvas state sync
   app.ws.onCanvasState = (state) => {
+    app.baseOperations = state.base || [];
     app.operationHistory = state.operations;
-    app.currentIndex = state.currentIndex;
-    app.canvas.redrawFromHistory(state.operations);
+    restoreQueuedOperations();
+    if (state.layers) {
+      app.canvas.setLayers(state.layers);
+      updateLayersPanel();
+    }
+    redrawCanvas();
+  };
+  
+  // Catch up after a reconnect by replaying the room changes that were missed
+  app.ws.onCanvasDelta = (changes) => {
+    // Pending operations were sent on the old connection; if the server stored
+    // them they are part of the changes
+    app.operationHistory = app.operationHistory.filter(op => !op.pending);
+    changes.forEach(applyRoomChange);
+    restoreQueuedOperations();
+    updateLayersPanel();
+    redrawCanvas();
+  };
+  
+  // Strokes drawn while offline, waiting to be sent
+  app.ws.onQueueChange = (count) => {
+    updatePendingIndicator(count);
+  };
+  
+  // Layers added, changed or reordered by anyone in the room
+  app.ws.onLayersUpdate = (layers) => {
+    app.canvas.setLayers(layers);
+    updateLayersPanel();
+    redrawCanvas();
   };
   
   // Remote drawing
   app.ws.onDrawPath = (data) => {
+    // Shapes stream as a whole shape that replaces the previous preview
+    if (data.shape !== undefined) {
+      app.canvas.setRemotePreview(data.userId, data.shape);
+      return;
+    }
+    
     if (data.points) {
       data.points.forEach(p => {
-        app.canvas.drawPathSegment(p.point, data.color, data.lineWidth, data.tool);
+        app.canvas.drawPathSegment(p.point, data.color, data.lineWidth, data.tool, p.layerId);
       });
     }
   };
   
   app.ws.onStrokeComplete = (operation) => {
     app.operationHistory.push(operation);
-    app.currentIndex++;
-    app.canvas.drawPath(operation.data);
+    if (operation.type === 'shape') {
+      app.canvas.setRemotePreview(operation.userId, null);
+    }
+    
+    // Edits change something already drawn, so the board is rebuilt
+    if (isEditOperation(operation)) {
+      redrawCanvas();
+    } else {
+      app.canvas.drawOperation(operation);
+    }
+  };
+  
+  // Own stroke stored by the server - swap the pending copy for the real one
+  app.ws.onStrokeAck = (operation) => {
+    const pendingIndex = findPendingIndex(operation.clientId);
+    if (pendingIndex !== -1) {
+      app.operationHistory.splice(pendingIndex, 1);
+    }
+    // A full state sent after the server stored it already has it
+    if (app.operationHistory.some(op => op.id === operation.id)) return;
+    // Appending keeps the server's order: anything stored before it has already arrived
+    app.operationHistory.push(operation);
+  };
+  
+  // Own operation refused by the server (e.g. its layer was locked meanwhile)
+  app.ws.onStrokeRejected = (data) => {
+    const pendingIndex = findPendingIndex(data.clientId);
+    if (pendingIndex !== -1) {
+      app.operationHistory.splice(pendingIndex, 1);
+    }
+    redrawCanvas();
+    showNotification(data.reason, 'error');
   };
   
   // Undo/Redo handlers
   app.ws.onUndo = (data) => {
-    if (app.currentIndex >= 0) {
-      app.currentIndex--;
-      const activeOps = app.operationHistory.slice(0, app.currentIndex + 1);
-      app.canvas.redrawFromHistory(activeOps);
-    }
+    setOperationsUndone(data.operationIds, true);
+    redrawCanvas();
   };
   
   app.ws.onRedo = (data) => {
-    if (app.currentIndex < app.operationHistory.length - 1) {
-      app.currentIndex++;
-      const activeOps = app.operationHistory.slice(0, app.currentIndex + 1);
-      app.canvas.redrawFromHistory(activeOps);
-    }
+    setOperationsUndone(data.operationIds, false);
+    redrawCanvas();
   };
   
-  // Clear canvas
-  app.ws.onClearCanvas = () => {
-    app.operationHistory = [];
-    app.currentIndex = -1;
-    app.canvas.clearCanvas();
+  // Clear canvas (an undoable operation in the shared history)
+  app.ws.onClearCanvas = (data) => {
+    app.operationHistory.push(data.operation);
+    redrawCanvas();
   };
   
   // User management
   app.ws.onUsersUpdate = (users) => {
     app.users = users;
+    // Owners may have changed this user's role
+    const self = users.find(user => user.id === app.ws.userId);
+    if (self && self.role !== app.role) {
+      app.role = self.role;
+      showNotification(`You are now ${self.role === 'owner' ? 'an' : 'a'} ${self.role}`, 'info');
+      updatePermissions();
+    }
     updateUsersList(users);
   };
   
@@ -119,10 +227,82 @@ function setupWebSocketHandlers() {
   
   app.ws.onUserLeft = (userId) => {
     removeRemoteCursor(userId);
+    app.canvas.setRemotePreview(userId, null);
+  };
+  
+  // Room changes
+  app.ws.onRoomJoined = (data) => {
+    document.getElementById('roomIdInput').value = data.roomId;
+    document.getElementById('roomPasswordInput').value = '';
+    // Keep the room in the address bar (without a used invite)
+    window.history.replaceState(null, '', getRoomLink(data.roomId));
+    app.role = data.user.role;
+    app.readOnly = data.readOnly;
+    updatePermissions();
+  };
+  
+  app.ws.onJoinRejected = (data) => {
+    document.getElementById('roomIdInput').value = app.ws.roomId;
+    showNotification(data.reason, 'error');
+  };
+  
+  app.ws.onInviteCreated = (data) => {
+    const expires = new Date(data.expiresAt).toLocaleString();
+    shareLink(getRoomLink(data.roomId, data.token), `Invite link copied (works until ${expires})`);
+  };
+  
+  // Moderation by room owners
+  app.ws.onRoomLocked = (data) => {
+    app.readOnly = data.readOnly;
+    showNotification(data.readOnly ? 'The board is now read-only' : 'The board is unlocked', 'info');
+    updatePermissions();
+  };
+  
+  app.ws.onKicked = (data) => {
+    showNotification(`${data.by} removed you from room ${data.roomId}`, 'error');
+    app.role = 'viewer';
+    updatePermissions();
+    updateUsersList([]);
+    renderChatMessages([]);
+    // Go back to the default room, unless that's where this happened
+    if (data.roomId !== 'default') {
+      app.ws.joinRoom('default');
+    }
+  };
+  
+  app.ws.onRoomDeleted = (data) => {
+    showNotification(`Room ${data.roomId} was deleted`, 'error');
+    updateUsersList([]);
+    renderChatMessages([]);
+    app.ws.joinRoom('default');
+    showLobby();
+  };
+  
+  // Chat (the room's recent messages come with the canvas state)
+  app.ws.onChatHistory = (messages) => {
+    renderChatMessages(messages);
+  };
+  
+  app.ws.onChatMessage = (message) => {
+    addChatMessage(message);
+  };
+  
+  // Anything else the server refused
+  app.ws.onEventRejected = (data) => {
+    showNotification(data.reason, 'error');
+  };
+  
+  // Compare the local history with the server's and reload it if they differ
+  app.ws.onHistoryChecksum = (data) => {
+    if (!historyMatches(data)) {
+      console.warn('Local history diverged from the server, reloading canvas state');
+      app.ws.requestCanvasState();
+    }
   };
   
-  // Cursor tracking
+  // Cursor tracking (other tabs of the same user aren't shown)
   app.ws.onCursorMove = (data) => {
+    if (data.userId === app.ws.userId) return;
     updateRemoteCursor(data);
   };
 }
@@ -140,17 +320,35 @@ function setupUIHandlers() {
     setTool('eraser');
   });
   
+  ['line', 'rectangle', 'ellipse', 'arrow', 'text', 'select', 'bucket'].forEach(tool => {
+    document.getElementById(`${tool}Tool`).addEventListener('click', () => {
+      setTool(tool);
+    });
+  });
+  
   // Color picker
   document.getElementById('colorPicker').addEventListener('input', (e) => {
     app.canvas.setColor(e.target.value);
+    updateTextEditorStyle({ color: e.target.value });
   });
   
+  // Shape fill
+  const fillToggle = document.getElementById('fillToggle');
+  const fillColorPicker = document.getElementById('fillColorPicker');
+  
+  const updateFill = () => {
+    app.canvas.setFillColor(fillToggle.checked ? fillColorPicker.value : null);
+  };
+  fillToggle.addEventListener('change', updateFill);
+  fillColorPicker.addEventListener('input', updateFill);
+  
   // Preset colors
   document.querySelectorAll('.color-preset').forEach(btn => {
     btn.addEventListener('click', () => {
       const color = btn.dataset.color;
       app.canvas.setColor(color);
       document.getElementById('colorPicker').value = color;
+      updateTextEditorStyle({ color });
     });
   });
   
@@ -167,6 +365,15 @@ function setupUIHandlers() {
     sizeValue.textContent = `${size}px`;
   });
   
+  // Font size for the text tool
+  document.getElementById('fontSize').addEventListener('input', (e) => {
+    const size = parseInt(e.target.value);
+    if (size > 0) {
+      app.canvas.setFontSize(size);
+      updateTextEditorStyle({ fontSize: size });
+    }
+  });
+  
   // Initialize size preview
   const initialSize = parseInt(brushSize.value);
   sizePreview.style.width = `${initialSize}px`;
@@ -174,7 +381,7 @@ function setupUIHandlers() {
   
   // Action buttons
   document.getElementById('undoBtn').addEventListener('click', () => {
-    app.ws.sendUndo();
+    app.ws.sendUndo(app.globalUndo);
   });
   
   document.getElementById('redoBtn').addEventListener('click', () => {
@@ -185,6 +392,20 @@ function setupUIHandlers() {
     showConfirmModal();
   });
   
+  document.getElementById('globalUndoToggle').addEventListener('change', (e) => {
+    app.globalUndo = e.target.checked;
+  });
+  
+  // Layers
+  document.getElementById('addLayerBtn').addEventListener('click', () => {
+    app.ws.sendCreateLayer('');
+  });
+  
+  // Owners can lock the board so only they can change it
+  document.getElementById('lockBoardBtn').addEventListener('click', () => {
+    app.ws.sendSetReadOnly(!app.readOnly);
+  });
+  
   // Modal event handlers
   document.getElementById('modalCancel').addEventListener('click', () => {
     hideConfirmModal();
@@ -202,63 +423,429 @@ function setupUIHandlers() {
     }
   });
   
+  // Export
+  document.getElementById('exportPngBtn').addEventListener('click', () => {
+    exportBoard('png');
+  });
+  
+  document.getElementById('exportSvgBtn').addEventListener('click', () => {
+    exportBoard('svg');
+  });
+  
+  document.getElementById('exportJsonBtn').addEventListener('click', () => {
+    exportBoard('json');
+  });
+  
+  // Import
+  const importInput = document.getElementById('importInput');
+  
+  document.getElementById('importBtn').addEventListener('click', () => {
+    importInput.click();
+  });
+  
+  importInput.addEventListener('change', () => {
+    const file = importInput.files[0];
+    // Reset so picking the same file again still fires a change event
+    importInput.value = '';
+    if (file) {
+      importFile(file);
+    }
+  });
+  
   // Room management
   document.getElementById('joinRoomBtn').addEventListener('click', () => {
     const roomId = document.getElementById('roomIdInput').value.trim();
+    const password = document.getElementById('roomPasswordInput').value;
     if (roomId) {
-      app.ws.joinRoom(roomId);
+      cancelTextEditor();
+      app.ws.joinRoom(roomId, password ? { password } : {});
       showNotification(`Joining room: ${roomId}`, 'info');
     }
   });
   
+  document.getElementById('createRoomBtn').addEventListener('click', () => {
+    const roomId = document.getElementById('roomIdInput').value.trim();
+    if (roomId) {
+      cancelTextEditor();
+      app.ws.createRoom(roomId, document.getElementById('roomPasswordInput').value);
+    }
+  });
+  
+  // Lobby of active public rooms
+  document.getElementById('lobbyBtn').addEventListener('click', () => {
+    showLobby();
+  });
+  
+  document.getElementById('lobbyRefresh').addEventListener('click', () => {
+    loadLobby();
+  });
+  
+  document.getElementById('lobbyClose').addEventListener('click', () => {
+    hideLobby();
+  });
+  
+  // Public rooms are shared by name, private ones need an invite token in the link
+  document.getElementById('inviteBtn').addEventListener('click', () => {
+    if (app.ws.roomPrivate) {
+      app.ws.createInvite();
+    } else {
+      shareLink(getRoomLink(app.ws.roomId), 'Room link copied');
+    }
+  });
+  
+  // Chat
+  document.getElementById('chatForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('chatInput');
+    const text = input.value.trim();
+    if (!text) return;
+    
+    if (!app.ws.isConnected()) {
+      showNotification('Cannot chat while disconnected', 'error');
+      return;
+    }
+    app.ws.sendChatMessage(text);
+    input.value = '';
+  });
+  
   // Canvas drawing events
   const canvas = document.getElementById('canvas');
   let lastSentPoint = null;
   
-  canvas.addEventListener('mousedown', (e) => {
+  // Pointer events cover mouse, touch and pen with one code path
+  canvas.addEventListener('pointerdown', (e) => {
+    // Ignore extra fingers while one is already drawing
+    if (!e.isPrimary) return;
+    // Keep receiving moves when the pointer leaves the canvas mid-stroke
+    canvas.setPointerCapture(e.pointerId);
+    
+    // Middle mouse or space + drag pans the board with any tool
+    if (e.button === 1 || app.spaceHeld) {
+      e.preventDefault();
+      app.panPoint = app.canvas.getScreenPoint(e);
+      return;
+    }
+    
+    if (!canEditBoard()) return;
+    
+    if (app.canvas.tool === 'text') {
+      // Keep focus in the text editor instead of the canvas
+      e.preventDefault();
+      handleTextClick(e);
+      return;
+    }
+    
+    if (app.canvas.tool === 'select') {
+      app.selection.pointerDown(app.canvas.getCoordinates(e));
+      return;
+    }
+    
+    if (!canDrawOnActiveLayer()) return;
+    
+    if (app.canvas.tool === 'bucket') {
+      fillAt(app.canvas.getCoordinates(e));
+      return;
+    }
+    
     lastSentPoint = null;
     app.canvas.startDrawing(e);
   });
   
-  canvas.addEventListener('mousemove', (e) => {
-    // Send cursor position
+  canvas.addEventListener('pointermove', (e) => {
+    if (!e.isPrimary) return;
+    
+    if (app.panPoint) {
+      const point = app.canvas.getScreenPoint(e);
+      app.canvas.panBy(point.x - app.panPoint.x, point.y - app.panPoint.y);
+      app.panPoint = point;
+      return;
+    }
+    
+    // Send cursor position (in board coordinates, so it shows up right at any zoom)
     if (app.ws.isConnected()) {
-      const rect = canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-      app.ws.sendCursorMove(x, y);
+      const point = app.canvas.getCoordinates(e);
+      app.ws.sendCursorMove(point.x, point.y);
+    }
+    
+    if (app.selection.drag) {
+      app.selection.pointerMove(app.canvas.getCoordinates(e));
+      return;
     }
     
     // Send drawing path
     if (app.canvas.isDrawing) {
       const point = app.canvas.draw(e);
-      if (point && (!lastSentPoint || 
+      // Nothing is streamed once the user lost the right to edit mid-stroke
+      // (the finished stroke is refused by the server)
+      if (!hasEditAccess()) return;
+      
+      if (app.canvas.currentShape) {
+        app.ws.sendShapePreview(app.canvas.currentShape);
+      } else if (point && (!lastSentPoint || 
           Math.abs(point.x - lastSentPoint.x) > 2 || 
           Math.abs(point.y - lastSentPoint.y) > 2)) {
         const settings = app.canvas.getToolSettings();
-        app.ws.sendDrawPath(point, settings.tool, settings.color, settings.lineWidth);
+        app.ws.sendDrawPath(point, settings.tool, settings.color, settings.lineWidth, app.canvas.activeLayerId);
         lastSentPoint = point;
       }
     }
   });
   
-  canvas.addEventListener('mouseup', () => {
-    const operation = app.canvas.stopDrawing();
-    if (operation && operation.points.length > 0) {
-      app.ws.sendStrokeComplete(operation);
-      app.operationHistory.push(operation);
-      app.currentIndex++;
+  const endPointer = (e) => {
+    if (!e.isPrimary) return;
+    app.panPoint = null;
+    app.selection.pointerUp(app.canvas.getCoordinates(e));
+    finishStroke();
+  };
+  canvas.addEventListener('pointerup', endPointer);
+  canvas.addEventListener('pointercancel', endPointer);
+  
+  // Wheel zooms around the pointer
+  canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    app.canvas.zoomBy(Math.exp(-e.deltaY * 0.0015), app.canvas.getScreenPoint(e));
+  }, { passive: false });
+  
+  // Zoom buttons
+  document.getElementById('zoomInBtn').addEventListener('click', () => {
+    app.canvas.zoomBy(ZOOM_STEP);
+  });
+  
+  document.getElementById('zoomOutBtn').addEventListener('click', () => {
+    app.canvas.zoomBy(1 / ZOOM_STEP);
+  });
+  
+  document.getElementById('zoomResetBtn').addEventListener('click', () => {
+    app.canvas.resetView();
+  });
+}
+
+/**
+ * Move everything that depends on the view after a pan, zoom or resize
+ * (the canvas asks for a redraw itself when it needs one)
+ */
+function handleViewChange() {
+  app.remoteCursors.forEach(cursor => positionRemoteCursor(cursor));
+  if (app.textEditor) {
+    layoutTextEditor();
+  }
+  document.getElementById('zoomValue').textContent = `${Math.round(app.canvas.view.zoom * 100)}%`;
+}
+
+/**
+ * Finish the current stroke and send it to the server
+ */
+function finishStroke() {
+  const wasShape = Boolean(app.canvas.currentShape);
+  const operation = app.canvas.stopDrawing();
+  
+  if (!operation || (operation.points && operation.points.length === 0)) {
+    // Drop any preview other users are still showing for a cancelled shape
+    if (wasShape) {
+      app.ws.sendShapePreview(null);
     }
+    return;
+  }
+  
+  submitOperation(operation);
+}
+
+/**
+ * Fill the region under a point with the current color
+ */
+function fillAt(point) {
+  const data = app.canvas.createFill(getActiveOperations(), point);
+  if (!data) return;
+  
+  submitOperation(data);
+  app.canvas.drawOperation({ type: 'fill', data });
+}
+
+/**
+ * Send an operation to the server and keep it in local history
+ * until the server acknowledges it with an id
+ */
+function submitOperation(data) {
+  // New drawings go on the active layer, edits stay on their target's layer
+  if (!isEditOperation(data) && !data.layerId) {
+    data.layerId = app.canvas.activeLayerId;
+  }
+  data.clientId = createClientId();
+  app.ws.sendStrokeComplete(data);
+  addPendingOperation(data);
+}
+
+/**
+ * Show an operation locally until the server stores it
+ */
+function addPendingOperation(data) {
+  app.operationHistory.push({
+    type: data.type,
+    data,
+    userId: app.ws.userId,
+    clientId: data.clientId,
+    pending: true
   });
+}
+
+/**
+ * Create an id the server echoes back when it stores or rejects an operation
+ */
+function createClientId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Find the pending copy of an operation the server answered
+ * (the oldest pending one for answers without a client id)
+ */
+function findPendingIndex(clientId) {
+  return app.operationHistory.findIndex(op => op.pending && (!clientId || op.clientId === clientId));
+}
+
+/**
+ * Check the local history against a server checksum
+ * The server covers its undo window, so only the same number of the newest
+ * stored operations is compared
+ */
+function historyMatches(data) {
+  if (app.ws.lastSequence !== data.sequence) return false;
+  
+  const stored = app.operationHistory.filter(op => !op.pending && !op.undone);
+  if (stored.length < data.count) return false;
+  
+  const recent = data.count > 0 ? stored.slice(-data.count) : [];
+  return getHistoryChecksum(recent, app.canvas.layers) === data.checksum;
+}
+
+/**
+ * Put strokes still queued from offline drawing back on top of a freshly
+ * synced history (they are sent right after, in the same order)
+ */
+function restoreQueuedOperations() {
+  app.ws.getQueuedStrokes().forEach(addPendingOperation);
+}
+
+/**
+ * Handle a click with the text tool: edit the text under it or start a new one
+ */
+function handleTextClick(e) {
+  // A click anywhere while editing just finishes the current text
+  if (app.textEditor) {
+    commitTextEditor();
+    return;
+  }
+  
+  const point = app.canvas.getCoordinates(e);
+  // Texts still waiting for their id can't be targeted by an edit yet
+  const stored = getActiveOperations().filter(op => !op.pending);
+  const existing = app.canvas.findTextAt(stored, point);
+  
+  if (existing) {
+    openTextEditor({ ...existing.data }, existing.id);
+  } else if (canDrawOnActiveLayer()) {
+    const settings = app.canvas.getToolSettings();
+    openTextEditor({
+      type: 'text',
+      x: point.x,
+      y: point.y,
+      text: '',
+      color: settings.color,
+      fontSize: settings.fontSize
+    }, null);
+  }
+}
+
+/**
+ * Open a text box over the canvas
+ * @param {Object} text - Text data being created or edited
+ * @param {string|null} targetId - Id of the text operation being edited, null for new text
+ */
+function openTextEditor(text, targetId) {
+  const editor = document.createElement('textarea');
+  editor.className = 'text-editor';
+  editor.value = text.text;
+  editor.spellcheck = false;
   
-  canvas.addEventListener('mouseleave', () => {
-    const operation = app.canvas.stopDrawing();
-    if (operation && operation.points.length > 0) {
-      app.ws.sendStrokeComplete(operation);
-      app.operationHistory.push(operation);
-      app.currentIndex++;
+  editor.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      cancelTextEditor();
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      // Enter finishes, Shift+Enter adds a new line
+      e.preventDefault();
+      commitTextEditor();
     }
   });
+  editor.addEventListener('input', () => layoutTextEditor());
+  
+  document.querySelector('.canvas-container').appendChild(editor);
+  app.textEditor = { element: editor, text, targetId };
+  layoutTextEditor();
+  editor.focus();
+}
+
+/**
+ * Position and size the text box to match how the text will be drawn
+ */
+function layoutTextEditor() {
+  const { element, text } = app.textEditor;
+  const bounds = app.canvas.measureText({ ...text, text: element.value || ' ' });
+  const position = app.canvas.worldToScreen(text);
+  const zoom = app.canvas.view.zoom;
+  
+  element.style.left = `${position.x}px`;
+  element.style.top = `${position.y}px`;
+  element.style.width = `${(bounds.width + text.fontSize) * zoom}px`;
+  element.style.height = `${bounds.height * zoom}px`;
+  element.style.fontSize = `${text.fontSize * zoom}px`;
+  element.style.color = text.color;
+}
+
+/**
+ * Apply toolbar changes (color, font size) to the text being edited
+ */
+function updateTextEditorStyle(changes) {
+  if (!app.textEditor) return;
+  Object.assign(app.textEditor.text, changes);
+  layoutTextEditor();
+}
+
+/**
+ * Finish editing and sync the text as a new text or an edit by id
+ */
+function commitTextEditor() {
+  if (!app.textEditor) return;
+  
+  const { element, text, targetId } = app.textEditor;
+  const value = element.value.replace(/\s+$/, '');
+  app.textEditor = null;
+  element.remove();
+  
+  if (!value) return;
+  
+  if (targetId) {
+    submitOperation({
+      type: 'text-edit',
+      targetId,
+      text: value,
+      color: text.color,
+      fontSize: text.fontSize
+    });
+    redrawCanvas();
+  } else {
+    const data = { ...text, text: value };
+    submitOperation(data);
+    app.canvas.drawOperation({ type: 'text', data });
+  }
+}
+
+/**
+ * Close the text box without saving
+ */
+function cancelTextEditor() {
+  if (!app.textEditor) return;
+  app.textEditor.element.remove();
+  app.textEditor = null;
 }
 
 /**
@@ -266,10 +853,21 @@ function setupUIHandlers() {
  */
 function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (e) => {
+    // Typing in the room field or a text box isn't a shortcut
+    if (e.target.matches('input, textarea')) return;
+    
+    // Hold space to pan
+    if (e.code === 'Space') {
+      e.preventDefault();
+      app.spaceHeld = true;
+      app.canvas.canvas.classList.add('panning');
+      return;
+    }
+    
     // Ctrl/Cmd + Z = Undo
     if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
       e.preventDefault();
-      app.ws.sendUndo();
+      app.ws.sendUndo(app.globalUndo);
     }
     
     // Ctrl/Cmd + Y or Ctrl/Cmd + Shift + Z = Redo
@@ -287,6 +885,28 @@ function setupKeyboardShortcuts() {
     if (e.key === 'e' || e.key === 'E') {
       setTool('eraser');
     }
+    
+    // Delete / Backspace = Delete selection, Escape = Deselect
+    if ((e.key === 'Delete' || e.key === 'Backspace') && app.selection.hasSelection()) {
+      e.preventDefault();
+      app.selection.deleteSelected();
+    }
+    if (e.key === 'Escape') {
+      app.selection.clear();
+    }
+    
+    // L = Line, R = Rectangle, O = Ellipse, A = Arrow, T = Text, V = Select, G = Paint bucket
+    const toolKeys = { l: 'line', r: 'rectangle', o: 'ellipse', a: 'arrow', t: 'text', v: 'select', g: 'bucket' };
+    if (!e.ctrlKey && !e.metaKey && toolKeys[e.key.toLowerCase()]) {
+      setTool(toolKeys[e.key.toLowerCase()]);
+    }
+  });
+  
+  document.addEventListener('keyup', (e) => {
+    if (e.code === 'Space') {
+      app.spaceHeld = false;
+      app.canvas.canvas.classList.remove('panning');
+    }
   });
 }
 
@@ -294,6 +914,10 @@ function setupKeyboardShortcuts() {
  * Set active tool
  */
 function setTool(tool) {
+  commitTextEditor();
+  if (tool !== 'select') {
+    app.selection.clear();
+  }
   app.canvas.setTool(tool);
   
   // Update UI
@@ -301,11 +925,360 @@ function setTool(tool) {
     btn.classList.remove('active');
   });
   
-  if (tool === 'brush') {
-    document.getElementById('brushTool').classList.add('active');
-  } else if (tool === 'eraser') {
-    document.getElementById('eraserTool').classList.add('active');
+  const button = document.getElementById(`${tool}Tool`);
+  if (button) {
+    button.classList.add('active');
+  }
+}
+
+/**
+ * Download the current room as PNG, SVG or JSON
+ * SVG and JSON are built by the server from the room history, so they
+ * include the whole board rather than just the visible part of the canvas
+ */
+async function exportBoard(format) {
+  const roomId = app.ws.roomId;
+  const baseUrl = `/rooms/${encodeURIComponent(roomId)}/export`;
+  
+  // Private rooms only export to their members
+  const options = { headers: { 'X-User-Token': app.ws.identity.token } };
+  
+  try {
+    if (format !== 'png') {
+      const response = await fetch(`${baseUrl}.${format}`, options);
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+      const fileUrl = URL.createObjectURL(await response.blob());
+      downloadUrl(fileUrl, `${roomId}.${format}`);
+      setTimeout(() => URL.revokeObjectURL(fileUrl), 1000);
+      return;
+    }
+    
+    // Rasterize the server-side SVG so the PNG matches the other exports
+    const response = await fetch(`${baseUrl}.svg`, options);
+    if (!response.ok) {
+      throw new Error(`Server responded with ${response.status}`);
+    }
+    const svgUrl = URL.createObjectURL(await response.blob());
+    
+    const img = new Image();
+    img.onload = () => {
+      const exportCanvas = document.createElement('canvas');
+      exportCanvas.width = img.naturalWidth;
+      exportCanvas.height = img.naturalHeight;
+      exportCanvas.getContext('2d').drawImage(img, 0, 0);
+      URL.revokeObjectURL(svgUrl);
+      
+      exportCanvas.toBlob((blob) => {
+        const pngUrl = URL.createObjectURL(blob);
+        downloadUrl(pngUrl, `${roomId}.png`);
+        setTimeout(() => URL.revokeObjectURL(pngUrl), 1000);
+      }, 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(svgUrl);
+      showNotification('Failed to render PNG export', 'error');
+    };
+    img.src = svgUrl;
+  } catch (error) {
+    console.error('Export failed:', error);
+    showNotification(`Failed to export ${format.toUpperCase()}`, 'error');
+  }
+}
+
+/**
+ * Import a board JSON export or an image file into the current room
+ */
+async function importFile(file) {
+  if (!app.ws.isConnected()) {
+    showNotification('Cannot import while disconnected', 'error');
+    return;
+  }
+  
+  try {
+    if (file.type.startsWith('image/')) {
+      const dataUrl = await readFileAsDataURL(file);
+      const imageData = await app.canvas.loadImage(dataUrl);
+      // Not drawn locally (the server sends it back), but a rejection names it
+      imageData.clientId = createClientId();
+      app.ws.sendImportImage(imageData);
+      showNotification(`Imported image ${file.name}`, 'success');
+      return;
+    }
+    
+    // Accept both the export format and a bare array of operations
+    const parsed = JSON.parse(await file.text());
+    const operations = Array.isArray(parsed) ? parsed : parsed.operations;
+    if (!Array.isArray(operations)) {
+      throw new Error('No operations found in file');
+    }
+    
+    app.ws.sendImportBoard(operations);
+    showNotification(`Imported ${operations.length} operations from ${file.name}`, 'success');
+  } catch (error) {
+    console.error('Import failed:', error);
+    showNotification(`Failed to import ${file.name}`, 'error');
+  }
+}
+
+/**
+ * Read a file as a data URL
+ */
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Trigger a browser download for a URL
+ */
+function downloadUrl(url, filename) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+/**
+ * Redraw the canvas from the active part of the local history
+ */
+function redrawCanvas() {
+  const operations = getActiveOperations();
+  
+  // Show a move/resize in progress without storing it yet
+  const preview = app.selection.getPreviewOperation();
+  if (preview) {
+    operations.push(preview);
+  }
+  
+  app.canvas.redrawFromHistory(operations);
+  app.selection.refresh();
+}
+
+/**
+ * Get everything on the board: the compacted base and the local operations
+ * that haven't been undone
+ */
+function getActiveOperations() {
+  return [...app.baseOperations, ...app.operationHistory.filter(op => !op.undone)];
+}
+
+/**
+ * Mark operations in the local history as undone or redone
+ */
+function setOperationsUndone(operationIds, undone) {
+  const ids = new Set(operationIds);
+  app.operationHistory.forEach(op => {
+    if (ids.has(op.id)) {
+      op.undone = undone;
+    }
+  });
+}
+
+/**
+ * Apply one change from the room's journal to the local history
+ * (the same entries the server stores, see DrawingState.apply)
+ */
+function applyRoomChange(entry) {
+  switch (entry.action) {
+    case 'add':
+      if (!app.operationHistory.some(op => op.id === entry.operation.id)) {
+        app.operationHistory.push(entry.operation);
+      }
+      break;
+
+    case 'undo':
+      setOperationsUndone([entry.operationId], true);
+      break;
+
+    case 'redo':
+      setOperationsUndone([entry.operationId], false);
+      break;
+
+    case 'layers':
+      app.canvas.setLayers(entry.layers);
+      break;
+
+    // Compaction only trims the server's undo window, the local copy keeps working
+    default:
+      break;
+  }
+}
+
+/**
+ * Check whether this user's role and the board lock let them change the board
+ */
+function hasEditAccess() {
+  return app.role !== 'viewer' && (!app.readOnly || app.role === 'owner');
+}
+
+/**
+ * Check that this user may change the board, telling them if not
+ */
+function canEditBoard() {
+  if (app.role === 'viewer') {
+    showNotification('Viewers can\'t change the board', 'error');
+    return false;
+  }
+  if (app.readOnly && app.role !== 'owner') {
+    showNotification('The board is locked', 'error');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Enable or disable the controls this user's role and the board lock allow
+ */
+function updatePermissions() {
+  const isOwner = app.role === 'owner';
+  const canEdit = hasEditAccess();
+  
+  ['undoBtn', 'redoBtn', 'addLayerBtn'].forEach(id => {
+    document.getElementById(id).disabled = !canEdit;
+  });
+  document.getElementById('clearBtn').disabled = !isOwner;
+  
+  // Undoing other people's work is for owners only
+  const globalUndoToggle = document.getElementById('globalUndoToggle');
+  globalUndoToggle.disabled = !isOwner;
+  if (!isOwner) {
+    globalUndoToggle.checked = false;
+    app.globalUndo = false;
+  }
+  
+  const lockBoardBtn = document.getElementById('lockBoardBtn');
+  lockBoardBtn.hidden = !isOwner;
+  lockBoardBtn.textContent = app.readOnly ? 'Unlock board' : 'Lock board';
+  document.getElementById('readOnlyNotice').hidden = !app.readOnly;
+  
+  updateLayersPanel();
+  updateUsersList(app.users);
+}
+
+/**
+ * Check that the active layer can be drawn on, telling the user if not
+ */
+function canDrawOnActiveLayer() {
+  const layer = app.canvas.getLayer(app.canvas.activeLayerId);
+  if (layer && !layer.visible) {
+    showNotification(`${layer.name} is hidden`, 'error');
+    return false;
+  }
+  if (layer && layer.locked) {
+    showNotification(`${layer.name} is locked`, 'error');
+    return false;
   }
+  return true;
+}
+
+/**
+ * Render the layers panel (top layer first)
+ */
+function updateLayersPanel() {
+  const layersList = document.getElementById('layersList');
+  const layers = app.canvas.layers;
+  const isOwner = app.role === 'owner';
+  layersList.innerHTML = '';
+  
+  layers.slice().reverse().forEach(layer => {
+    const index = layers.indexOf(layer);
+    // Locked layers only change for owners (see canChangeLayer on the server)
+    const canChange = hasEditAccess() && (!layer.locked || isOwner);
+    const item = document.createElement('div');
+    item.className = 'layer-item';
+    item.classList.toggle('active', layer.id === app.canvas.activeLayerId);
+    item.classList.toggle('hidden', !layer.visible);
+    item.addEventListener('click', () => {
+      app.canvas.setActiveLayer(layer.id);
+      updateLayersPanel();
+    });
+    
+    const addButton = (label, title, onClick, options = {}) => {
+      const button = document.createElement('button');
+      button.className = 'layer-btn';
+      button.classList.toggle('on', Boolean(options.on));
+      button.textContent = label;
+      button.title = title;
+      button.disabled = Boolean(options.disabled);
+      button.addEventListener('click', (e) => {
+        // Don't also make the layer active
+        e.stopPropagation();
+        onClick();
+      });
+      item.appendChild(button);
+    };
+    
+    addButton(layer.visible ? 'Hide' : 'Show', layer.visible ? 'Hide layer' : 'Show layer', () => {
+      app.ws.sendUpdateLayer(layer.id, { visible: !layer.visible });
+    }, { on: !layer.visible, disabled: !canChange });
+    addButton(layer.locked ? 'Unlock' : 'Lock', layer.locked ? 'Unlock layer' : 'Lock layer', () => {
+      app.ws.sendUpdateLayer(layer.id, { locked: !layer.locked });
+    }, { on: layer.locked, disabled: !isOwner });
+    
+    // textContent keeps layer names from being parsed as HTML
+    const name = document.createElement('span');
+    name.className = 'layer-name';
+    name.textContent = layer.name;
+    name.title = canChange ? 'Double-click to rename' : '';
+    name.addEventListener('dblclick', () => {
+      if (!canChange) return;
+      const newName = prompt('Layer name', layer.name);
+      if (newName && newName.trim()) {
+        app.ws.sendUpdateLayer(layer.id, { name: newName.trim() });
+      }
+    });
+    item.appendChild(name);
+    
+    addButton('\u2191', 'Move up', () => app.ws.sendMoveLayer(layer.id, index + 1), {
+      disabled: !canChange || index === layers.length - 1
+    });
+    addButton('\u2193', 'Move down', () => app.ws.sendMoveLayer(layer.id, index - 1), {
+      disabled: !canChange || index === 0
+    });
+    
+    layersList.appendChild(item);
+  });
+}
+
+/**
+ * Get a link that opens a room
+ */
+function getRoomLink(roomId, invite) {
+  const params = new URLSearchParams({ room: roomId });
+  if (invite) {
+    params.set('invite', invite);
+  }
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+/**
+ * Copy a link to the clipboard, or show it to copy by hand
+ */
+async function shareLink(link, message) {
+  try {
+    await navigator.clipboard.writeText(link);
+    showNotification(message, 'success');
+  } catch (error) {
+    window.prompt('Copy this link', link);
+  }
+}
+
+/**
+ * Show how many strokes drawn while offline haven't been sent yet
+ */
+function updatePendingIndicator(count) {
+  const indicator = document.getElementById('pendingIndicator');
+  indicator.hidden = count === 0;
+  indicator.textContent = `${count} unsent`;
+  indicator.title = `${count} stroke${count === 1 ? '' : 's'} drawn offline, sent when reconnected`;
 }
 
 /**
@@ -327,20 +1300,106 @@ function updateConnectionStatus(connected) {
 }
 
 /**
- * Update users list
+ * Update users list (owners get buttons to change roles and remove users)
  */
 function updateUsersList(users) {
   const usersList = document.getElementById('usersList');
   const userCount = document.getElementById('userCount');
+  const isOwner = app.role === 'owner';
   
   userCount.textContent = users.length;
+  usersList.innerHTML = '';
   
-  usersList.innerHTML = users.map(user => `
-    <div class="user-item">
-      <div class="user-color" style="background: ${user.color}"></div>
-      <div class="user-name">${user.name}${user.id === app.ws.userId ? ' (You)' : ''}</div>
-    </div>
-  `).join('');
+  users.forEach(user => {
+    const item = document.createElement('div');
+    item.className = 'user-item';
+    
+    const color = document.createElement('div');
+    color.className = 'user-color';
+    color.style.background = user.color;
+    item.appendChild(color);
+    
+    // textContent keeps user names from being parsed as HTML
+    const name = document.createElement('div');
+    name.className = 'user-name';
+    name.textContent = `${user.name}${user.id === app.ws.userId ? ' (You)' : ''}`;
+    item.appendChild(name);
+    
+    const role = document.createElement('span');
+    role.className = 'user-status';
+    role.textContent = user.role;
+    item.appendChild(role);
+    
+    if (isOwner && user.id !== app.ws.userId) {
+      const addButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'layer-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        item.appendChild(button);
+      };
+      
+      const index = USER_ROLES.indexOf(user.role);
+      if (index > 0) {
+        addButton('\u2191', `Make ${USER_ROLES[index - 1]}`, () => {
+          app.ws.sendSetRole(user.id, USER_ROLES[index - 1]);
+        });
+      }
+      if (index < USER_ROLES.length - 1) {
+        addButton('\u2193', `Make ${USER_ROLES[index + 1]}`, () => {
+          app.ws.sendSetRole(user.id, USER_ROLES[index + 1]);
+        });
+      }
+      addButton('\u2715', 'Remove from room', () => {
+        if (confirm(`Remove ${user.name} from the room?`)) {
+          app.ws.sendKickUser(user.id);
+        }
+      });
+    }
+    
+    usersList.appendChild(item);
+  });
+}
+
+/**
+ * Replace the messages in the chat panel (e.g. with a room's recent history)
+ */
+function renderChatMessages(messages) {
+  document.getElementById('chatMessages').innerHTML = '';
+  messages.forEach(message => addChatMessage(message));
+}
+
+/**
+ * Add a chat message to the panel, following new messages unless the reader scrolled up
+ */
+function addChatMessage(message) {
+  const list = document.getElementById('chatMessages');
+  const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 10;
+  
+  const item = document.createElement('div');
+  item.className = 'chat-message';
+  item.title = new Date(message.timestamp).toLocaleTimeString();
+  
+  // textContent keeps names and messages from being parsed as HTML
+  const author = document.createElement('span');
+  author.className = 'chat-author';
+  author.style.color = message.userColor;
+  author.textContent = message.userId === app.ws.userId ? 'You' : message.userName;
+  item.appendChild(author);
+  
+  const text = document.createElement('span');
+  text.className = 'chat-text';
+  text.textContent = message.text;
+  item.appendChild(text);
+  
+  list.appendChild(item);
+  while (list.children.length > MAX_CHAT_MESSAGES) {
+    list.firstChild.remove();
+  }
+  if (atBottom) {
+    list.scrollTop = list.scrollHeight;
+  }
 }
 
 /**
@@ -353,16 +1412,38 @@ function updateRemoteCursor(data) {
   if (!cursor) {
     cursor = document.createElement('div');
     cursor.className = 'remote-cursor';
-    cursor.innerHTML = `
-      <div class="cursor-dot" style="background: ${data.userColor}"></div>
-      <div class="cursor-label">${data.userName}</div>
-    `;
+    
+    const dot = document.createElement('div');
+    dot.className = 'cursor-dot';
+    dot.style.background = data.userColor;
+    cursor.appendChild(dot);
+    
+    // textContent keeps user names from being parsed as HTML
+    const label = document.createElement('div');
+    label.className = 'cursor-label';
+    label.textContent = data.userName;
+    cursor.appendChild(label);
+    
     cursorsContainer.appendChild(cursor);
     app.remoteCursors.set(data.userId, cursor);
   }
   
-  cursor.style.left = `${data.x}px`;
-  cursor.style.top = `${data.y}px`;
+  // Remember the board position so the cursor can follow pans and zooms
+  cursor.dataset.x = data.x;
+  cursor.dataset.y = data.y;
+  positionRemoteCursor(cursor);
+}
+
+/**
+ * Place a remote cursor on screen from its board position
+ */
+function positionRemoteCursor(cursor) {
+  const point = app.canvas.worldToScreen({
+    x: Number(cursor.dataset.x),
+    y: Number(cursor.dataset.y)
+  });
+  cursor.style.left = `${point.x}px`;
+  cursor.style.top = `${point.y}px`;
 }
 
 /**
@@ -415,6 +1496,110 @@ function handleModalEscape(e) {
   }
 }
 
+/**
+ * Show the lobby and load the list of active rooms
+ */
+function showLobby() {
+  document.getElementById('lobbyModal').classList.add('show');
+  document.addEventListener('keydown', handleLobbyEscape);
+  loadLobby();
+}
+
+/**
+ * Hide the lobby
+ */
+function hideLobby() {
+  document.getElementById('lobbyModal').classList.remove('show');
+  document.removeEventListener('keydown', handleLobbyEscape);
+}
+
+/**
+ * Handle escape key to close the lobby
+ */
+function handleLobbyEscape(e) {
+  if (e.key === 'Escape') {
+    hideLobby();
+  }
+}
+
+/**
+ * Fetch the active public rooms and list them in the lobby
+ */
+async function loadLobby() {
+  const lobbyList = document.getElementById('lobbyList');
+  
+  try {
+    const response = await fetch('/api/rooms');
+    if (!response.ok) {
+      throw new Error(`Server responded with ${response.status}`);
+    }
+    const { rooms } = await response.json();
+    renderLobby(rooms);
+  } catch (error) {
+    console.error('Failed to load rooms:', error);
+    lobbyList.textContent = 'Could not load the rooms';
+  }
+}
+
+/**
+ * Render the lobby's room list, each with a button to join it
+ */
+function renderLobby(rooms) {
+  const lobbyList = document.getElementById('lobbyList');
+  lobbyList.innerHTML = '';
+  
+  if (rooms.length === 0) {
+    lobbyList.textContent = 'No active rooms. Type a name above to start one.';
+    return;
+  }
+  
+  rooms.forEach(room => {
+    const item = document.createElement('div');
+    item.className = 'lobby-room';
+    
+    // textContent keeps room names from being parsed as HTML
+    const info = document.createElement('div');
+    info.className = 'lobby-room-info';
+    const name = document.createElement('div');
+    name.className = 'lobby-room-name';
+    name.textContent = room.id;
+    const details = document.createElement('div');
+    details.className = 'lobby-room-details';
+    details.textContent = `${room.users} online \u00b7 ${room.operations} operations \u00b7 active ${formatTimeAgo(room.lastActivity)}`;
+    info.appendChild(name);
+    info.appendChild(details);
+    item.appendChild(info);
+    
+    const button = document.createElement('button');
+    button.className = 'join-room-btn';
+    if (room.id === app.ws.roomId) {
+      button.textContent = 'Current';
+      button.disabled = true;
+    } else {
+      button.textContent = 'Join';
+      button.addEventListener('click', () => {
+        cancelTextEditor();
+        app.ws.joinRoom(room.id);
+        hideLobby();
+      });
+    }
+    item.appendChild(button);
+    
+    lobbyList.appendChild(item);
+  });
+}
+
+/**
+ * Describe how long ago a time was, roughly
+ */
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
 // Initialize app when DOM is loaded
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeApp);
@@ -0,0 +1,263 @@
+/**
+ * Selection Manager
+ * Handles selecting, moving, resizing and deleting existing operations
+ */
+
+// Smallest size (in pixels) a selection can be resized down to
+const MIN_SELECTION_SIZE = 5;
+// Pixels the pointer has to travel before a press counts as a drag
+const DRAG_THRESHOLD = 2;
+
+class SelectionManager {
+  constructor(canvasManager) {
+    this.canvas = canvasManager;
+
+    // Ids of the selected operations
+    this.selectedIds = [];
+    // Current drag: { mode: 'move' | 'resize' | 'marquee', start, ... }
+    this.drag = null;
+    // Scale + translate shown while dragging, committed on release
+    this.previewTransform = null;
+
+    // Hooks wired up by main.js
+    this.getOperations = null; // Returns stored active operations
+    this.onPreview = null; // Redraw the canvas with the preview transform
+    this.onCommit = null; // Store a transform or delete operation
+  }
+
+  /**
+   * Start a selection, move or resize at a point
+   */
+  pointerDown(point) {
+    const bounds = this.getBounds();
+
+    if (bounds) {
+      const handle = this.getHandleAt(bounds, point);
+      if (handle !== -1) {
+        const corners = getCorners(bounds);
+        this.drag = {
+          mode: 'resize',
+          start: point,
+          bounds,
+          corner: corners[handle],
+          anchor: corners[(handle + 2) % 4]
+        };
+        return;
+      }
+
+      if (containsPoint(bounds, point)) {
+        this.drag = { mode: 'move', start: point };
+        return;
+      }
+    }
+
+    const hit = this.canvas.findOperationAt(this.getOperations(), point);
+    if (hit) {
+      this.select([hit.id]);
+      this.drag = { mode: 'move', start: point };
+    } else {
+      this.select([]);
+      this.drag = { mode: 'marquee', start: point };
+    }
+  }
+
+  /**
+   * Update the current drag
+   */
+  pointerMove(point) {
+    if (!this.drag) return;
+    const { mode, start } = this.drag;
+
+    if (mode === 'marquee') {
+      this.canvas.setSelectionOverlay(null, rectFromPoints(start, point));
+      return;
+    }
+
+    const threshold = DRAG_THRESHOLD / this.canvas.view.zoom;
+    if (!this.drag.moved && Math.hypot(point.x - start.x, point.y - start.y) < threshold) {
+      return;
+    }
+    this.drag.moved = true;
+
+    if (mode === 'move') {
+      this.previewTransform = {
+        scaleX: 1,
+        scaleY: 1,
+        translateX: point.x - start.x,
+        translateY: point.y - start.y
+      };
+    } else {
+      const { bounds, corner, anchor } = this.drag;
+      // Clamp so a selection can shrink but never flip inside out
+      const scaleX = Math.max(MIN_SELECTION_SIZE / bounds.width, (point.x - anchor.x) / (corner.x - anchor.x));
+      const scaleY = Math.max(MIN_SELECTION_SIZE / bounds.height, (point.y - anchor.y) / (corner.y - anchor.y));
+      this.previewTransform = {
+        scaleX,
+        scaleY,
+        translateX: anchor.x * (1 - scaleX),
+        translateY: anchor.y * (1 - scaleY)
+      };
+    }
+
+    if (this.onPreview) {
+      this.onPreview();
+    }
+  }
+
+  /**
+   * Finish the current drag, storing a transform if anything moved
+   */
+  pointerUp(point) {
+    if (!this.drag) return;
+    const { mode, start } = this.drag;
+    this.drag = null;
+
+    if (mode === 'marquee') {
+      const found = this.canvas.findOperationsInRect(this.getOperations(), rectFromPoints(start, point));
+      this.select(found.map(op => op.id));
+      return;
+    }
+
+    const transform = this.previewTransform;
+    this.previewTransform = null;
+
+    if (transform && this.onCommit) {
+      this.onCommit({
+        type: 'transform',
+        targetIds: [...this.selectedIds],
+        ...transform
+      });
+    }
+  }
+
+  /**
+   * Delete the selected operations
+   */
+  deleteSelected() {
+    if (this.selectedIds.length === 0) return;
+
+    const targetIds = [...this.selectedIds];
+    this.select([]);
+
+    if (this.onCommit) {
+      this.onCommit({ type: 'delete', targetIds });
+    }
+  }
+
+  /**
+   * Replace the selection
+   * @param {Array} ids - Operation ids to select
+   */
+  select(ids) {
+    this.selectedIds = ids;
+    this.refresh();
+  }
+
+  /**
+   * Drop the selection and any drag in progress
+   */
+  clear() {
+    const dragging = Boolean(this.previewTransform);
+    this.drag = null;
+    this.previewTransform = null;
+    this.select([]);
+
+    if (dragging && this.onPreview) {
+      this.onPreview();
+    }
+  }
+
+  /**
+   * Check whether there is a selection
+   */
+  hasSelection() {
+    return this.selectedIds.length > 0;
+  }
+
+  /**
+   * Redraw the selection box (call after the history changes)
+   */
+  refresh() {
+    // Forget operations that were undone or deleted by someone else
+    const available = new Set(resolveOperations(this.getOperations()).map(op => op.id));
+    this.selectedIds = this.selectedIds.filter(id => available.has(id));
+
+    const marquee = this.drag && this.drag.mode === 'marquee' ? this.canvas.selectionMarquee : null;
+    this.canvas.setSelectionOverlay(this.getBounds(), marquee);
+  }
+
+  /**
+   * Get the transform being previewed as a temporary operation
+   * @returns {Object|null} Transform operation to append before rendering
+   */
+  getPreviewOperation() {
+    if (!this.previewTransform) return null;
+    return {
+      type: 'transform',
+      data: { targetIds: this.selectedIds, ...this.previewTransform }
+    };
+  }
+
+  /**
+   * Get the combined bounds of the selected operations (including any preview)
+   * @returns {Object|null} Bounds, or null when nothing is selected
+   */
+  getBounds() {
+    if (this.selectedIds.length === 0) return null;
+
+    const operations = this.getOperations();
+    const preview = this.getPreviewOperation();
+    if (preview) {
+      operations.push(preview);
+    }
+
+    const selected = new Set(this.selectedIds);
+    let union = null;
+
+    resolveOperations(operations).forEach(op => {
+      if (!selected.has(op.id)) return;
+      const bounds = this.canvas.getOperationBounds(op);
+      if (!bounds) return;
+
+      union = union
+        ? boundsFromBox(
+          Math.min(union.x, bounds.x),
+          Math.min(union.y, bounds.y),
+          Math.max(union.x + union.width, bounds.x + bounds.width),
+          Math.max(union.y + union.height, bounds.y + bounds.height)
+        )
+        : bounds;
+    });
+
+    return union;
+  }
+
+  /**
+   * Get the index of the resize handle under a point
+   * @returns {number} Corner index (see getCorners), or -1
+   */
+  getHandleAt(bounds, point) {
+    // Handles are drawn at a fixed screen size, so convert their reach to board units
+    const reach = (SELECTION_HANDLE_SIZE / 2 + HIT_TOLERANCE) / this.canvas.view.zoom;
+    return getCorners(bounds).findIndex(corner =>
+      Math.abs(point.x - corner.x) <= reach && Math.abs(point.y - corner.y) <= reach
+    );
+  }
+}
+
+/**
+ * Build a rectangle from two opposite corners
+ */
+function rectFromPoints(a, b) {
+  return boundsFromBox(
+    Math.min(a.x, b.x),
+    Math.min(a.y, b.y),
+    Math.max(a.x, b.x),
+    Math.max(a.y, b.y)
+  );
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectionManager;
+}
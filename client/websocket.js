@@ -8,8 +8,32 @@ class WebSocketManager {
     this.socket = null;
     this.connected = false;
     this.roomId = 'default';
+    // Whether the current room is private, and the password or invite used to get
+    // into a room (kept until the server has let this user in)
+    this.roomPrivate = false;
+    this.credentials = {};
     this.userId = null;
     this.userColor = null;
+    // Token and name this browser uses in every room and tab (the server
+    // derives a stable user id from the token)
+    this.identityKey = 'collaborative-canvas-user';
+    this.identity = this.loadIdentity();
+    // Room sequence number of the latest change received (sent back on reconnect)
+    this.lastSequence = null;
+    // Whether the server has sent this connection the room's canvas yet
+    this.joined = false;
+    // Pending retry of a join the server refused for coming too often
+    // (e.g. after several reconnects in a row)
+    this.joinRetryTimeout = null;
+    
+    // Completed strokes drawn while offline, sent once the room is rejoined.
+    // Kept in localStorage so they survive a reload
+    this.queueKey = 'collaborative-canvas-queue';
+    this.offlineQueue = this.loadQueue();
+    // The queue is sent in batches to stay within the server's rate limit
+    this.flushBatchSize = 15;
+    this.flushInterval = 1000;
+    this.flushTimeout = null;
     
     // Event handlers
     this.onConnected = null;
@@ -19,21 +43,44 @@ class WebSocketManager {
     this.onDraw = null;
     this.onDrawPath = null;
     this.onStrokeComplete = null;
+    this.onStrokeAck = null;
+    this.onStrokeRejected = null;
     this.onUndo = null;
     this.onRedo = null;
     this.onClearCanvas = null;
     this.onCursorMove = null;
     this.onUsersUpdate = null;
     this.onCanvasState = null;
+    this.onCanvasDelta = null;
+    this.onLayersUpdate = null;
+    this.onQueueChange = null;
+    this.onHistoryChecksum = null;
+    this.onEventRejected = null;
+    this.onRoomJoined = null;
+    this.onJoinRejected = null;
+    this.onInviteCreated = null;
+    this.onRoomLocked = null;
+    this.onKicked = null;
+    this.onChatMessage = null;
+    this.onChatHistory = null;
+    this.onRoomDeleted = null;
     
     // Performance tracking
     this.latency = 0;
     this.lastPingTime = 0;
     
+    // How often the local history is checked against the server's
+    this.checksumInterval = 30000;
+    this.checksumTimer = null;
+    
     // Event batching for performance
     this.pathBatch = [];
     this.batchTimeout = null;
     this.batchInterval = 50; // Send batched events every 50ms
+    
+    // Latest shape preview waiting to be sent
+    this.pendingShape = null;
+    this.shapeTimeout = null;
   }
 
   /**
@@ -65,8 +112,9 @@ class WebSocketManager {
     this.socket.on('connect', () => {
       console.log('Connected to server');
       this.connected = true;
-      this.joinRoom(this.roomId);
+      this.joinRoom(this.roomId, this.credentials);
       this.startLatencyTracking();
+      this.startChecksumTracking();
       
       if (this.onConnected) {
         this.onConnected();
@@ -76,6 +124,7 @@ class WebSocketManager {
     this.socket.on('disconnect', (reason) => {
       console.log('Disconnected from server:', reason);
       this.connected = false;
+      this.joined = false;
       
       if (this.onDisconnected) {
         this.onDisconnected(reason);
@@ -88,16 +137,86 @@ class WebSocketManager {
 
     // Room events
     this.socket.on('user-joined', (data) => {
+      // Sequence numbers are per room
+      if (data.roomId !== this.roomId) {
+        this.roomId = data.roomId;
+        this.lastSequence = null;
+      }
       this.userId = data.user.id;
       this.userColor = data.user.color;
+      this.roomPrivate = data.private;
+      // Members of a private room rejoin without a password
+      this.credentials = {};
       console.log('Joined room:', data.roomId, 'as', data.user.name);
+      if (this.onRoomJoined) {
+        this.onRoomJoined(data);
+      }
+    });
+
+    this.socket.on('join-rejected', (data) => {
+      console.warn('Could not join room:', data.roomId, data.reason);
+      this.credentials = {};
+      if (this.onJoinRejected) {
+        this.onJoinRejected(data);
+      }
+    });
+
+    this.socket.on('invite-created', (data) => {
+      if (this.onInviteCreated) {
+        this.onInviteCreated(data);
+      }
+    });
+
+    // Moderation by room owners
+    this.socket.on('room-locked', (data) => {
+      if (this.onRoomLocked) {
+        this.onRoomLocked(data);
+      }
+    });
+
+    this.socket.on('kicked', (data) => {
+      console.warn('Removed from room:', data.roomId);
+      this.joined = false;
+      if (this.onKicked) {
+        this.onKicked(data);
+      }
+    });
+
+    this.socket.on('room-deleted', (data) => {
+      console.warn('Room deleted:', data.roomId);
+      this.joined = false;
+      // A new room with the same name starts its sequence over
+      this.lastSequence = null;
+      if (this.onRoomDeleted) {
+        this.onRoomDeleted(data);
+      }
     });
 
     this.socket.on('canvas-state', (state) => {
       console.log('Received canvas state with', state.operations.length, 'operations');
+      this.trackSequence(state);
+      this.joined = true;
       if (this.onCanvasState) {
         this.onCanvasState(state);
       }
+      if (this.onChatHistory) {
+        this.onChatHistory(state.messages || []);
+      }
+      this.flushQueue();
+    });
+
+    // Changes missed while disconnected (instead of the full canvas state)
+    this.socket.on('canvas-delta', (data) => {
+      console.log('Received', data.changes.length, 'missed changes');
+      this.trackSequence(data);
+      this.joined = true;
+      if (this.onCanvasDelta) {
+        this.onCanvasDelta(data.changes);
+      }
+      if (this.onChatHistory) {
+        this.onChatHistory(data.messages || []);
+      }
+      this.flushQueue();
     });
 
     this.socket.on('user-connected', (data) => {
@@ -140,19 +259,36 @@ class WebSocketManager {
     });
 
     this.socket.on('stroke-complete', (operation) => {
+      this.trackSequence(operation);
       if (this.onStrokeComplete) {
         this.onStrokeComplete(operation);
       }
     });
 
+    this.socket.on('stroke-ack', (operation) => {
+      this.trackSequence(operation);
+      if (this.onStrokeAck) {
+        this.onStrokeAck(operation);
+      }
+    });
+
+    this.socket.on('stroke-rejected', (data) => {
+      console.warn('Operation rejected:', data.reason);
+      if (this.onStrokeRejected) {
+        this.onStrokeRejected(data);
+      }
+    });
+
     // Undo/Redo events
     this.socket.on('undo', (data) => {
+      this.trackSequence(data);
       if (this.onUndo) {
         this.onUndo(data);
       }
     });
 
     this.socket.on('redo', (data) => {
+      this.trackSequence(data);
       if (this.onRedo) {
         this.onRedo(data);
       }
@@ -160,11 +296,20 @@ class WebSocketManager {
 
     // Canvas events
     this.socket.on('clear-canvas', (data) => {
+      this.trackSequence(data);
       if (this.onClearCanvas) {
         this.onClearCanvas(data);
       }
     });
 
+    // Layer events
+    this.socket.on('layers-update', (data) => {
+      this.trackSequence(data);
+      if (this.onLayersUpdate) {
+        this.onLayersUpdate(data.layers);
+      }
+    });
+
     // Cursor events
     this.socket.on('cursor-move', (data) => {
       if (this.onCursorMove) {
@@ -172,33 +317,125 @@ class WebSocketManager {
       }
     });
 
+    // Chat
+    this.socket.on('chat-message', (message) => {
+      if (this.onChatMessage) {
+        this.onChatMessage(message);
+      }
+    });
+
+    // Events the server refused (invalid or over the rate limit)
+    this.socket.on('event-rejected', (data) => {
+      console.warn('Event rejected:', data.event, data.reason);
+      if (data.event === 'join-room' && data.retryAfter !== undefined) {
+        this.retryJoin(data.retryAfter);
+      }
+      if (this.onEventRejected) {
+        this.onEventRejected(data);
+      }
+    });
+
+    // History check
+    this.socket.on('history-checksum', (data) => {
+      if (this.onHistoryChecksum) {
+        this.onHistoryChecksum(data);
+      }
+    });
+
     // Latency tracking
     this.socket.on('pong', () => {
       this.latency = Date.now() - this.lastPingTime;
     });
   }
 
+  /**
+   * Remember the room sequence number a server event brings
+   */
+  trackSequence(data) {
+    if (data && typeof data.sequence === 'number') {
+      this.lastSequence = data.sequence;
+    }
+  }
+
   /**
    * Join a room
+   * Rejoining the same room (e.g. after a reconnect) sends the last sequence
+   * number seen, so the server only has to send the missed changes.
+   * The room only changes once the server answers with user-joined
+   * @param {string} roomId - Room to join
+   * @param {Object} credentials - Password or invite token for a private room
    */
-  joinRoom(roomId, userName = null) {
-    this.roomId = roomId;
-    this.socket.emit('join-room', {
+  joinRoom(roomId, credentials = {}) {
+    this.credentials = credentials;
+    
+    const data = {
       roomId: roomId,
-      user: {
-        name: userName || `User ${Math.floor(Math.random() * 1000)}`
+      user: this.getUserData(),
+      ...credentials
+    };
+    if (roomId === this.roomId && this.lastSequence !== null) {
+      data.lastSequence = this.lastSequence;
+    }
+    this.socket.emit('join-room', data);
+  }
+
+  /**
+   * Join the current room again once the server's rate limit allows it,
+   * unless the room has been joined by then
+   * @param {number} delay - Milliseconds the server asked to wait
+   */
+  retryJoin(delay) {
+    if (this.joinRetryTimeout) return;
+    
+    this.joinRetryTimeout = setTimeout(() => {
+      this.joinRetryTimeout = null;
+      if (this.connected && !this.joined) {
+        this.joinRoom(this.roomId, this.credentials);
       }
-    });
+    }, delay);
+  }
+
+  /**
+   * Create a private room and join it
+   * @param {string} roomId - Name of the new room
+   * @param {string} password - Password for others to join with (optional, invites work too)
+   */
+  createRoom(roomId, password) {
+    if (!this.connected) return;
+    
+    const data = { roomId, user: this.getUserData() };
+    if (password) {
+      data.password = password;
+    }
+    this.socket.emit('create-room', data);
+  }
+
+  /**
+   * Ask for an invite link token for the current private room
+   */
+  createInvite(expiresInHours) {
+    if (!this.connected) return;
+    this.socket.emit('create-invite', { expiresInHours });
+  }
+
+  /**
+   * Get the user details sent when joining
+   */
+  getUserData() {
+    return {
+      name: this.identity.name,
+      token: this.identity.token
+    };
   }
 
   /**
    * Send drawing path update (real-time, not stored)
    */
-  sendDrawPath(point, tool, color, lineWidth) {
+  sendDrawPath(point, tool, color, lineWidth, layerId) {
     if (!this.connected) return;
     
     // Add to batch
-    this.pathBatch.push({ point, tool, color, lineWidth });
+    this.pathBatch.push({ point, tool, color, lineWidth, layerId });
     
     // Clear existing timeout
     if (this.batchTimeout) {
@@ -212,18 +449,41 @@ class WebSocketManager {
           points: this.pathBatch,
           tool,
           color,
-          lineWidth
+          lineWidth,
+          layerId
         });
         this.pathBatch = [];
       }
     }, this.batchInterval);
   }
 
+  /**
+   * Send the shape currently being dragged out (real-time, not stored)
+   * Only the latest shape matters, so updates are throttled rather than batched
+   * @param {Object|null} shape - Shape data, or null to remove the preview
+   */
+  sendShapePreview(shape) {
+    if (!this.connected) return;
+    
+    this.pendingShape = shape;
+    if (this.shapeTimeout) return;
+    
+    this.shapeTimeout = setTimeout(() => {
+      this.shapeTimeout = null;
+      this.socket.emit('draw-path', { shape: this.pendingShape });
+    }, this.batchInterval);
+  }
+
   /**
    * Send complete stroke (stored in history)
+   * While offline (or not yet back in the room) the stroke is queued instead,
+   * and it waits behind anything still queued so strokes arrive in order
    */
   sendStrokeComplete(strokeData) {
-    if (!this.connected) return;
+    if (!this.connected || !this.joined || this.getQueuedStrokes().length > 0) {
+      this.queueStroke(strokeData);
+      return;
+    }
     
     // Clear any pending path batch
     if (this.batchTimeout) {
@@ -232,15 +492,148 @@ class WebSocketManager {
     }
     this.pathBatch = [];
     
+    // Drop any pending shape preview, the finished shape replaces it
+    if (this.shapeTimeout) {
+      clearTimeout(this.shapeTimeout);
+      this.shapeTimeout = null;
+    }
+    
     this.socket.emit('stroke-complete', strokeData);
   }
 
   /**
-   * Request undo
+   * Queue a completed stroke until the room is rejoined
+   */
+  queueStroke(strokeData) {
+    this.offlineQueue.push({ roomId: this.roomId, data: strokeData });
+    this.saveQueue();
+  }
+
+  /**
+   * Get the queued strokes for the current room, oldest first
    */
-  sendUndo() {
+  getQueuedStrokes() {
+    return this.offlineQueue
+      .filter(entry => entry.roomId === this.roomId)
+      .map(entry => entry.data);
+  }
+
+  /**
+   * Send the strokes queued for the current room, in the order they were drawn
+   * Long queues go out a batch at a time
+   */
+  flushQueue() {
+    if (this.flushTimeout || !this.connected || !this.joined) return;
+    
+    const strokes = this.getQueuedStrokes().slice(0, this.flushBatchSize);
+    if (strokes.length === 0) return;
+    
+    strokes.forEach(strokeData => this.socket.emit('stroke-complete', strokeData));
+    const sent = new Set(strokes);
+    this.offlineQueue = this.offlineQueue.filter(entry => !sent.has(entry.data));
+    this.saveQueue();
+    console.log('Sent', strokes.length, 'queued strokes');
+    
+    if (this.getQueuedStrokes().length > 0) {
+      this.flushTimeout = setTimeout(() => {
+        this.flushTimeout = null;
+        this.flushQueue();
+      }, this.flushInterval);
+    }
+  }
+
+  /**
+   * Read this browser's identity, creating it on the first visit
+   */
+  loadIdentity() {
+    try {
+      const identity = JSON.parse(localStorage.getItem(this.identityKey));
+      if (identity && typeof identity.token === 'string') {
+        return identity;
+      }
+    } catch (error) {
+      // Fall through and create a new identity
+    }
+    
+    const identity = {
+      token: this.createToken(),
+      name: `User ${Math.floor(Math.random() * 1000)}`
+    };
+    try {
+      localStorage.setItem(this.identityKey, JSON.stringify(identity));
+    } catch (error) {
+      // Without storage the identity only lasts until the page closes
+      console.warn('Could not store user identity:', error);
+    }
+    return identity;
+  }
+
+  /**
+   * Create a random secret token
+   */
+  createToken() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Read the queue left by an earlier page load
+   */
+  loadQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(this.queueKey));
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Store the queue and report its new length
+   */
+  saveQueue() {
+    try {
+      if (this.offlineQueue.length > 0) {
+        localStorage.setItem(this.queueKey, JSON.stringify(this.offlineQueue));
+      } else {
+        localStorage.removeItem(this.queueKey);
+      }
+    } catch (error) {
+      // Storage full or unavailable - the queue still lives until the page closes
+      console.warn('Could not store offline queue:', error);
+    }
+    
+    if (this.onQueueChange) {
+      this.onQueueChange(this.getQueuedStrokes().length);
+    }
+  }
+
+  /**
+   * Import operations from an exported board (replayed on the server)
+   */
+  sendImportBoard(operations) {
+    if (!this.connected) return;
+    this.socket.emit('import-board', { operations });
+  }
+
+  /**
+   * Import an image as a synced image operation
+   */
+  sendImportImage(imageData) {
     if (!this.connected) return;
-    this.socket.emit('undo');
+    this.socket.emit('import-image', imageData);
+  }
+
+  /**
+   * Request undo of own last operation, or of anyone's when global
+   */
+  sendUndo(global = false) {
+    if (!this.connected) return;
+    this.socket.emit('undo', { global });
   }
 
   /**
@@ -272,6 +665,64 @@ class WebSocketManager {
     this.socket.emit('clear-canvas');
   }
 
+  /**
+   * Send a chat message to the room
+   */
+  sendChatMessage(text) {
+    if (!this.connected) return;
+    this.socket.emit('chat-message', { text });
+  }
+
+  /**
+   * Give another user in the room a role (owners only)
+   * @param {string} userId - User to change
+   * @param {string} role - 'owner', 'editor' or 'viewer'
+   */
+  sendSetRole(userId, role) {
+    if (!this.connected) return;
+    this.socket.emit('set-role', { userId, role });
+  }
+
+  /**
+   * Remove another user from the room (owners only)
+   */
+  sendKickUser(userId) {
+    if (!this.connected) return;
+    this.socket.emit('kick-user', { userId });
+  }
+
+  /**
+   * Lock or unlock the board for everyone but owners (owners only)
+   */
+  sendSetReadOnly(readOnly) {
+    if (!this.connected) return;
+    this.socket.emit('set-read-only', { readOnly });
+  }
+
+  /**
+   * Create a new layer on top of the others
+   */
+  sendCreateLayer(name) {
+    if (!this.connected) return;
+    this.socket.emit('layer-create', { name });
+  }
+
+  /**
+   * Rename, hide/show or lock/unlock a layer
+   */
+  sendUpdateLayer(layerId, changes) {
+    if (!this.connected) return;
+    this.socket.emit('layer-update', { id: layerId, changes });
+  }
+
+  /**
+   * Move a layer to a new position (0 is the bottom)
+   */
+  sendMoveLayer(layerId, index) {
+    if (!this.connected) return;
+    this.socket.emit('layer-move', { id: layerId, index });
+  }
+
   /**
    * Start tracking latency
    */
@@ -284,6 +735,27 @@ class WebSocketManager {
     }, 2000);
   }
 
+  /**
+   * Periodically ask for the server's history checksum
+   */
+  startChecksumTracking() {
+    if (this.checksumTimer) return;
+    
+    this.checksumTimer = setInterval(() => {
+      if (this.connected && this.joined) {
+        this.socket.emit('history-checksum');
+      }
+    }, this.checksumInterval);
+  }
+
+  /**
+   * Ask for the full canvas state again
+   */
+  requestCanvasState() {
+    if (!this.connected) return;
+    this.socket.emit('request-state');
+  }
+
   /**
    * Get current latency
    */
@@ -1,16 +1,99 @@
 /**
  * Drawing State Manager
- * Manages the global canvas state including operation history for undo/redo
+ * Manages the canvas state including per-user operation history for undo/redo
  */
 
+const { DEFAULT_LAYER_ID, simplifyPoints, resolveOperations, getHistoryChecksum } = require('../shared/operations');
+
+// Journal actions that change room settings rather than the board. They don't
+// move the board sequence (clients compare it in history checksums and are
+// never told about these changes) and aren't part of deltas
+const SETTINGS_ACTIONS = ['access', 'permissions'];
+
+/**
+ * Layers every new room starts with (bottom to top)
+ * @returns {Array} Layer objects
+ */
+function createDefaultLayers() {
+  return [
+    { id: 'background', name: 'Background', visible: true, locked: false },
+    { id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }
+  ];
+}
+
+/**
+ * Deep-copy a journal entry and freeze the copy, so entries kept for deltas
+ * don't change along with the operations they were made from
+ * @param {*} value - Entry or part of one
+ * @returns {*} Frozen copy
+ */
+function freezeCopy(value) {
+  if (value === null || typeof value !== 'object') return value;
+
+  const copy = Array.isArray(value) ? value.map(freezeCopy) : {};
+  if (!Array.isArray(value)) {
+    Object.keys(value).forEach(key => {
+      copy[key] = freezeCopy(value[key]);
+    });
+  }
+  return Object.freeze(copy);
+}
+
+/**
+ * Access settings of a new (public) room
+ * @returns {Object} Access settings
+ */
+function createDefaultAccess() {
+  return {
+    private: false,
+    // "salt:hash" of the room password, if it has one
+    passwordHash: null,
+    // Invite links as { tokenHash, expiresAt }
+    invites: [],
+    // Ids of users who have been let in (they can rejoin without a password)
+    members: []
+  };
+}
+
 class DrawingState {
-  constructor() {
-    // Operation history stack - stores all drawing operations
+  /**
+   * @param {Object} options - State options
+   * @param {Function} options.onChange - Called with a journal entry after every change
+   * @param {number} options.simplifyTolerance - Stroke simplification tolerance in board units (0 keeps every point)
+   */
+  constructor(options = {}) {
+    // Operation history - stores all drawing operations in drawing order.
+    // Undone operations stay in place with `undone: true` so they can be redone
     this.operations = [];
-    // Maximum history size to prevent memory issues
+    // Maximum history size (the undo window) to prevent memory issues
     this.maxHistorySize = 1000;
-    // Current position in history (for undo/redo)
-    this.currentIndex = -1;
+    // How many operations below the maximum history is compacted to at once
+    this.compactionSize = 100;
+    // What the operations that left the undo window drew, flattened into
+    // plain drawables (oldest first). Part of the board but no longer undoable
+    this.baseOperations = [];
+    // Map of userId -> ids of operations that user undid (most recent last)
+    this.redoStacks = new Map();
+    // Room layers, bottom to top
+    this.layers = createDefaultLayers();
+    // Who may join the room. Secret, so never part of getState()
+    this.access = createDefaultAccess();
+    // Map of userId -> role ('owner', 'editor' or 'viewer'); users without one are editors
+    this.roles = {};
+    // Whether the board is locked so only owners can change it
+    this.readOnly = false;
+    // Ids of users an owner removed, who can't join again
+    this.banned = [];
+    // Room sequence number, increased by every change (stored in the journal)
+    this.sequence = 0;
+    // The latest changes with their sequence numbers, so reconnecting clients
+    // can catch up on what they missed instead of reloading the whole board
+    this.recentChanges = [];
+    this.maxRecentChanges = 500;
+    // Persistence hook, receives every change as a journal entry
+    this.onChange = options.onChange || null;
+    // How far (in board units) a stroke may move when redundant points are dropped
+    this.simplifyTolerance = options.simplifyTolerance !== undefined ? options.simplifyTolerance : 1;
   }
 
   /**
@@ -18,70 +101,432 @@ class DrawingState {
    * @param {Object} operation - Drawing operation with type, data, userId, timestamp
    */
   addOperation(operation) {
-    // Remove any operations after current index (they were undone)
-    if (this.currentIndex < this.operations.length - 1) {
-      this.operations = this.operations.slice(0, this.currentIndex + 1);
+    const added = this.commit({
+      action: 'add',
+      operation: {
+        ...operation,
+        data: this.simplifyData(operation),
+        id: this.generateOperationId(),
+        timestamp: Date.now(),
+        undone: false
+      }
+    });
+
+    // Bake the oldest operations into the base once the undo window is full
+    if (this.operations.length > this.maxHistorySize) {
+      this.commit({
+        action: 'compact',
+        count: this.operations.length - (this.maxHistorySize - this.compactionSize)
+      });
+    }
+
+    return added;
+  }
+
+  /**
+   * Drop stroke points that don't change the stroke's shape before it is stored
+   * (keeps history, snapshots and canvas-state payloads small)
+   * @param {Object} operation - Operation being added
+   * @returns {Object} Operation data, with simplified points for strokes
+   */
+  simplifyData(operation) {
+    const data = operation.data;
+    if (operation.type !== 'stroke' || !data || !Array.isArray(data.points)) {
+      return data;
+    }
+    return { ...data, points: simplifyPoints(data.points, this.simplifyTolerance) };
+  }
+
+  /**
+   * Undo the most recent operation by a user
+   * @param {string} userId - User requesting the undo
+   * @param {Object} options - Undo options
+   * @param {boolean} options.global - Undo the most recent operation by anyone
+   * @returns {Object|null} The undone operation
+   */
+  undo(userId, options = {}) {
+    for (let i = this.operations.length - 1; i >= 0; i--) {
+      const op = this.operations[i];
+      if (op.undone) continue;
+      if (options.global || op.userId === userId) {
+        return this.commit({ action: 'undo', userId, operationId: op.id });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Redo the operation a user most recently undid
+   * @param {string} userId - User requesting the redo
+   * @returns {Object|null} The redone operation
+   */
+  redo(userId) {
+    const stack = this.redoStacks.get(userId);
+    if (!stack || stack.length === 0) return null;
+    return this.commit({ action: 'redo', userId, operationId: stack[stack.length - 1] });
+  }
+
+  /**
+   * Create a new layer on top of the others
+   * @param {string} name - Layer name
+   * @returns {Object} The new layer
+   */
+  createLayer(name) {
+    const layer = {
+      id: this.generateLayerId(),
+      name: name || `Layer ${this.layers.length}`,
+      visible: true,
+      locked: false
+    };
+    this.commit({ action: 'layers', layers: [...this.layers, layer] });
+    return layer;
+  }
+
+  /**
+   * Rename, hide/show or lock/unlock a layer
+   * @param {string} layerId - Layer ID
+   * @param {Object} changes - Any of name, visible, locked
+   * @returns {Object|null} The updated layer
+   */
+  updateLayer(layerId, changes) {
+    const layer = this.getLayer(layerId);
+    if (!layer) return null;
+
+    const updated = { ...layer };
+    if (typeof changes.name === 'string' && changes.name.trim()) {
+      updated.name = changes.name.trim();
+    }
+    if (typeof changes.visible === 'boolean') {
+      updated.visible = changes.visible;
+    }
+    if (typeof changes.locked === 'boolean') {
+      updated.locked = changes.locked;
     }
 
-    // Add the new operation
-    this.operations.push({
-      ...operation,
-      id: this.generateOperationId(),
-      timestamp: Date.now()
+    this.commit({
+      action: 'layers',
+      layers: this.layers.map(l => (l.id === layerId ? updated : l))
     });
+    return updated;
+  }
 
-    this.currentIndex++;
+  /**
+   * Move a layer to a new position in the stack
+   * @param {string} layerId - Layer ID
+   * @param {number} index - New index (0 is the bottom)
+   * @returns {boolean} True if the layer was moved
+   */
+  moveLayer(layerId, index) {
+    const from = this.layers.findIndex(l => l.id === layerId);
+    if (from === -1 || !Number.isInteger(index)) return false;
 
-    // Limit history size
-    if (this.operations.length > this.maxHistorySize) {
-      this.operations.shift();
-      this.currentIndex--;
+    const layers = [...this.layers];
+    const [layer] = layers.splice(from, 1);
+    layers.splice(Math.max(0, Math.min(index, layers.length)), 0, layer);
+
+    this.commit({ action: 'layers', layers });
+    return true;
+  }
+
+  /**
+   * Change the room's access settings
+   * @param {Object} changes - Any of private, passwordHash, invites, members
+   * @returns {Object} The new access settings
+   */
+  setAccess(changes) {
+    const access = { ...this.access, ...changes };
+    this.commit({ action: 'access', access });
+    return access;
+  }
+
+  /**
+   * Change user roles, the read-only lock or the ban list
+   * @param {Object} changes - Any of roles (the full map), readOnly and banned (the full list)
+   */
+  setPermissions(changes) {
+    this.commit({
+      action: 'permissions',
+      roles: changes.roles || this.roles,
+      readOnly: changes.readOnly !== undefined ? changes.readOnly : this.readOnly,
+      banned: changes.banned || this.banned
+    });
+  }
+
+  /**
+   * Find a layer by id
+   * @param {string} layerId - Layer ID
+   * @returns {Object|undefined} The layer
+   */
+  getLayer(layerId) {
+    return this.layers.find(l => l.id === layerId);
+  }
+
+  /**
+   * Map a requested layer to one that exists
+   * @param {string} layerId - Requested layer ID
+   * @returns {string} The layer ID, or the default layer if it doesn't exist
+   */
+  resolveLayerId(layerId) {
+    return this.getLayer(layerId) ? layerId : DEFAULT_LAYER_ID;
+  }
+
+  /**
+   * Check whether operation data would draw on or change a locked layer
+   * @param {Object} data - Operation data (new drawing or an edit by id)
+   * @returns {boolean} True if a locked layer is involved
+   */
+  touchesLockedLayer(data) {
+    const targetIds = data.targetIds || (data.targetId ? [data.targetId] : null);
+    const layerIds = targetIds
+      ? targetIds.map(id => {
+        const op = this.getOperation(id) || this.baseOperations.find(base => base.id === id);
+        return op && op.data ? op.data.layerId : null;
+      })
+      : [data.layerId];
+
+    return layerIds.some(id => {
+      const layer = this.getLayer(this.resolveLayerId(id));
+      return layer && layer.locked;
+    });
+  }
+
+  /**
+   * Get the ids of all unlocked layers (the ones a clear affects)
+   * @returns {Array} Layer IDs
+   */
+  getUnlockedLayerIds() {
+    return this.layers.filter(l => !l.locked).map(l => l.id);
+  }
+
+  /**
+   * Apply a change, number it and hand it to the persistence hook
+   * @param {Object} entry - Journal entry
+   * @returns {*} Result of applying the entry
+   */
+  commit(entry) {
+    const onBoard = !SETTINGS_ACTIONS.includes(entry.action);
+    entry.seq = onBoard ? ++this.sequence : this.sequence;
+    const result = this.apply(entry);
+
+    if (onBoard) {
+      this.recentChanges.push(freezeCopy(entry));
+      if (this.recentChanges.length > this.maxRecentChanges) {
+        this.recentChanges.shift();
+      }
     }
 
-    return this.operations[this.currentIndex];
+    if (this.onChange) {
+      this.onChange(entry);
+    }
+    return result;
   }
 
   /**
-   * Undo the last operation
-   * @returns {Object|null} The operation to undo
+   * Get the changes made after a sequence number
+   * @param {number} sequence - Last sequence number the caller has seen
+   * @returns {Array|null} Journal entries in order, or null if they are no
+   *   longer all available (the caller needs the full state instead)
    */
-  undo() {
-    if (this.currentIndex >= 0) {
-      const operation = this.operations[this.currentIndex];
-      this.currentIndex--;
-      return operation;
+  getChangesSince(sequence) {
+    if (!Number.isInteger(sequence) || sequence < 0 || sequence > this.sequence) {
+      return null;
     }
-    return null;
+
+    const oldest = this.recentChanges.length > 0 ? this.recentChanges[0].seq : this.sequence + 1;
+    if (sequence < oldest - 1) return null;
+
+    return this.recentChanges.filter(entry => entry.seq > sequence);
   }
 
   /**
-   * Redo the last undone operation
-   * @returns {Object|null} The operation to redo
+   * Apply a single journal entry to the state
+   * Used both for live changes and for replaying stored history
+   * @param {Object} entry - Journal entry
+   * @returns {*} The affected operation, if any
    */
-  redo() {
-    if (this.currentIndex < this.operations.length - 1) {
-      this.currentIndex++;
-      return this.operations[this.currentIndex];
+  apply(entry) {
+    switch (entry.action) {
+      case 'add': {
+        // A new action drops whatever its author could still redo
+        this.discardRedoStack(entry.operation.userId);
+
+        this.operations.push(entry.operation);
+        return entry.operation;
+      }
+
+      case 'compact': {
+        const compacted = this.operations.slice(0, entry.count);
+        this.operations = this.operations.slice(entry.count);
+
+        // Undone operations that were compacted can't be redone any more
+        const removed = new Set(compacted.map(op => op.id));
+        this.redoStacks.forEach((stack, userId) => {
+          this.redoStacks.set(userId, stack.filter(id => !removed.has(id)));
+        });
+
+        // Edits and clears are folded into what they changed; drawables keep
+        // their ids so later edits can still target them
+        this.baseOperations = resolveOperations([
+          ...this.baseOperations,
+          ...compacted.filter(op => !op.undone)
+        ]);
+        return null;
+      }
+
+      case 'undo': {
+        const op = this.getOperation(entry.operationId);
+        if (!op || op.undone) return null;
+
+        op.undone = true;
+        if (!this.redoStacks.has(entry.userId)) {
+          this.redoStacks.set(entry.userId, []);
+        }
+        this.redoStacks.get(entry.userId).push(op.id);
+        return op;
+      }
+
+      case 'redo': {
+        const stack = this.redoStacks.get(entry.userId) || [];
+        const index = stack.lastIndexOf(entry.operationId);
+        if (index !== -1) stack.splice(index, 1);
+
+        const op = this.getOperation(entry.operationId);
+        if (!op || !op.undone) return null;
+
+        op.undone = false;
+        return op;
+      }
+
+      case 'layers':
+        this.layers = entry.layers;
+        return null;
+
+      case 'access':
+        this.access = entry.access;
+        return null;
+
+      case 'permissions':
+        this.roles = entry.roles;
+        this.readOnly = entry.readOnly;
+        // Older journals have no ban list
+        this.banned = entry.banned || [];
+        return null;
+
+      // Only found in journals written before clearing became an undoable
+      // operation; nothing commits it anymore
+      case 'clear':
+        this.operations = [];
+        this.baseOperations = [];
+        this.redoStacks.clear();
+        return null;
+
+      case 'snapshot':
+        this.operations = entry.operations;
+        this.baseOperations = entry.base || [];
+        this.redoStacks = new Map(Object.entries(entry.redoStacks || {}));
+        this.layers = entry.layers || createDefaultLayers();
+        this.access = entry.access || createDefaultAccess();
+        this.roles = entry.roles || {};
+        this.readOnly = Boolean(entry.readOnly);
+        this.banned = entry.banned || [];
+        this.sequence = entry.sequence || 0;
+        return null;
+
+      default:
+        console.warn(`[DrawingState] Ignoring unknown journal entry: ${entry.action}`);
+        return null;
     }
-    return null;
   }
 
   /**
-   * Get all operations up to current index (for new users joining)
-   * @returns {Array} All active operations
+   * Drop a user's redo stack, removing operations that can no longer come back
+   * @param {string} userId - User whose redo stack is discarded
+   */
+  discardRedoStack(userId) {
+    const stack = this.redoStacks.get(userId);
+    if (!stack) return;
+
+    const discarded = new Set(stack);
+    this.operations = this.operations.filter(op => !(op.undone && discarded.has(op.id)));
+    this.redoStacks.delete(userId);
+  }
+
+  /**
+   * Find an operation by id
+   * @param {string} operationId - Operation ID
+   * @returns {Object|undefined} The operation
+   */
+  getOperation(operationId) {
+    return this.operations.find(op => op.id === operationId);
+  }
+
+  /**
+   * Rebuild the state from stored journal entries
+   * @param {Array} entries - Journal entries in the order they were written
+   */
+  load(entries) {
+    entries.forEach(entry => {
+      this.apply(entry);
+      // Older journals have no sequence numbers
+      if (entry.seq) {
+        this.sequence = entry.seq;
+      }
+    });
+  }
+
+  /**
+   * Get a single journal entry describing the whole state
+   * @returns {Object} Snapshot entry
+   */
+  toSnapshot() {
+    return {
+      action: 'snapshot',
+      base: this.baseOperations,
+      operations: this.operations,
+      redoStacks: Object.fromEntries(this.redoStacks),
+      layers: this.layers,
+      access: this.access,
+      roles: this.roles,
+      readOnly: this.readOnly,
+      banned: this.banned,
+      sequence: this.sequence
+    };
+  }
+
+  /**
+   * Get everything drawn on the board: the compacted base followed by
+   * the operations that haven't been undone
+   * @returns {Array} All active operations in drawing order
    */
   getActiveOperations() {
-    return this.operations.slice(0, this.currentIndex + 1);
+    return [...this.baseOperations, ...this.operations.filter(op => !op.undone)];
   }
 
   /**
-   * Get the full state for synchronization
+   * Get the full state for synchronization (for new users joining)
+   * Undone operations are included so they can be redone later
    * @returns {Object} Current state object
    */
   getState() {
     return {
-      operations: this.getActiveOperations(),
-      currentIndex: this.currentIndex
+      base: this.baseOperations,
+      operations: this.operations,
+      layers: this.layers,
+      sequence: this.sequence
+    };
+  }
+
+  /**
+   * Get a checksum of the undo window, for clients to compare with their copy
+   * Covers the active operations (undone ones may already be gone here) and layers
+   * @returns {Object} The sequence it was taken at, how many operations it covers and the checksum
+   */
+  getChecksum() {
+    const active = this.operations.filter(op => !op.undone);
+    return {
+      sequence: this.sequence,
+      count: active.length,
+      checksum: getHistoryChecksum(active, this.layers)
     };
   }
 
@@ -94,11 +539,11 @@ class DrawingState {
   }
 
   /**
-   * Clear all operations
+   * Generate a unique layer ID
+   * @returns {string} Unique ID
    */
-  clear() {
-    this.operations = [];
-    this.currentIndex = -1;
+  generateLayerId() {
+    return `layer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 }
 
@@ -0,0 +1,369 @@
+/**
+ * Board Exporter
+ * Builds downloadable SVG and JSON files from a room's drawing history
+ */
+
+const {
+  resolveOperations,
+  getLayerId,
+  getPressureWidth,
+  hasPressure,
+  getStrokePieces
+} = require('../shared/operations');
+
+// Version of the JSON export format (bump when the layout changes)
+const EXPORT_VERSION = 1;
+// Empty space around the drawing in SVG exports
+const SVG_PADDING = 20;
+// Size used when the board has nothing drawn on it
+const EMPTY_BOARD_SIZE = { width: 800, height: 600 };
+// Text rendering (matches the client canvas)
+const TEXT_FONT_FAMILY = 'sans-serif';
+const TEXT_LINE_HEIGHT = 1.2;
+// Rough average glyph width relative to font size, for text bounds
+const TEXT_CHAR_WIDTH = 0.6;
+
+/**
+ * Escape a value for use inside XML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Round a coordinate so exported files stay small
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the data of every operation that can be exported
+ * @param {Array} operations - Active operations
+ * @returns {Array} Operations with renderable data
+ */
+function getDrawables(operations) {
+  return operations.filter(op => {
+    if (!op.data) return false;
+    if (op.type === 'image') return typeof op.data.src === 'string';
+    if (op.type === 'shape') return Boolean(op.data.start && op.data.end);
+    if (op.type === 'text') return typeof op.data.text === 'string';
+    if (op.type === 'fill') return Array.isArray(op.data.runs) && op.data.cols > 0 && op.data.rows > 0;
+    return Array.isArray(op.data.points) && op.data.points.length > 0;
+  });
+}
+
+/**
+ * Compute the area covered by the drawing
+ * @param {Array} drawables - Operations with renderable data
+ * @returns {Object} Bounds with x, y, width and height
+ */
+function getBounds(drawables) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  const include = (x1, y1, x2, y2) => {
+    minX = Math.min(minX, x1);
+    minY = Math.min(minY, y1);
+    maxX = Math.max(maxX, x2);
+    maxY = Math.max(maxY, y2);
+  };
+
+  drawables.forEach(({ type, data }) => {
+    if (type === 'image' || type === 'fill') {
+      include(data.x, data.y, data.x + data.width, data.y + data.height);
+      return;
+    }
+
+    if (type === 'text') {
+      const lines = data.text.split('\n');
+      const longest = Math.max(...lines.map(line => line.length));
+      include(
+        data.x,
+        data.y,
+        data.x + longest * data.fontSize * TEXT_CHAR_WIDTH,
+        data.y + lines.length * data.fontSize * TEXT_LINE_HEIGHT
+      );
+      return;
+    }
+
+    if (type === 'shape') {
+      // Arrow heads stick out past the end point by up to their length
+      const margin = (data.lineWidth || 1) / 2 + (data.kind === 'arrow' ? getArrowHeadLength(data) : 0);
+      include(
+        Math.min(data.start.x, data.end.x) - margin,
+        Math.min(data.start.y, data.end.y) - margin,
+        Math.max(data.start.x, data.end.x) + margin,
+        Math.max(data.start.y, data.end.y) + margin
+      );
+      return;
+    }
+
+    const radius = (data.lineWidth || 1) / 2;
+    data.points.forEach(point => {
+      include(point.x - radius, point.y - radius, point.x + radius, point.y + radius);
+    });
+  });
+
+  if (minX === Infinity) {
+    return { x: 0, y: 0, ...EMPTY_BOARD_SIZE };
+  }
+
+  return {
+    x: Math.floor(minX - SVG_PADDING),
+    y: Math.floor(minY - SVG_PADDING),
+    width: Math.ceil(maxX - minX + SVG_PADDING * 2),
+    height: Math.ceil(maxY - minY + SVG_PADDING * 2)
+  };
+}
+
+/**
+ * Build an SVG path element for a stroke
+ * @param {Object} stroke - Stroke data with points, color and lineWidth
+ * @param {string} color - Stroke color to use
+ * @returns {string} SVG path markup (a group of paths for pen strokes)
+ */
+function strokeToPath(stroke, color) {
+  const pieces = getStrokePieces(stroke.points);
+
+  // Pen strokes vary in width, which one SVG path can't do: use a path per piece
+  if (hasPressure(stroke.points)) {
+    const paths = pieces.map(piece =>
+      `<path d="M${round(piece.start.x)} ${round(piece.start.y)} ${pieceToPath(piece)}" ` +
+      `stroke-width="${round(getPressureWidth(stroke.lineWidth || 1, piece.widthPoint))}"/>`
+    );
+    return `<g fill="none" stroke="${escapeXml(color)}" stroke-linecap="round">${paths.join('')}</g>`;
+  }
+
+  const first = stroke.points[0];
+  const d = [`M${round(first.x)} ${round(first.y)}`, ...pieces.map(pieceToPath)].join(' ');
+
+  return `<path d="${d}" fill="none" stroke="${escapeXml(color)}" ` +
+    `stroke-width="${round(stroke.lineWidth || 1)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+}
+
+/**
+ * Build the SVG path command for a smoothed stroke piece (from its start)
+ * @param {Object} piece - Piece from getStrokePieces
+ * @returns {string} Q or L command
+ */
+function pieceToPath(piece) {
+  const end = `${round(piece.end.x)} ${round(piece.end.y)}`;
+  return piece.control
+    ? `Q${round(piece.control.x)} ${round(piece.control.y)} ${end}`
+    : `L${end}`;
+}
+
+/**
+ * Build an SVG path for a paint bucket fill
+ * The stored mask is a grid of cells; each run of filled cells becomes a rectangle
+ * @param {Object} fill - Fill data with x, y, width, height, cols, rows, runs and color
+ * @returns {string} SVG path markup
+ */
+function fillToElement(fill) {
+  let d = '';
+  for (let i = 0; i < fill.runs.length; i += 3) {
+    const [row, start, length] = fill.runs.slice(i, i + 3);
+    d += `M${start} ${row}h${length}v1h${-length}z`;
+  }
+
+  const scaleX = round(fill.width / fill.cols);
+  const scaleY = round(fill.height / fill.rows);
+  return `<path d="${d}" fill="${escapeXml(fill.color)}" ` +
+    `transform="translate(${round(fill.x)} ${round(fill.y)}) scale(${scaleX} ${scaleY})"/>`;
+}
+
+/**
+ * Build an SVG image element for an image operation
+ * @param {Object} image - Image data with src, x, y, width and height
+ * @returns {string} SVG image markup
+ */
+function imageToElement(image) {
+  return `<image href="${escapeXml(image.src)}" x="${round(image.x)}" y="${round(image.y)}" ` +
+    `width="${round(image.width)}" height="${round(image.height)}" preserveAspectRatio="none"/>`;
+}
+
+/**
+ * Get the length of an arrow head (matches the client canvas)
+ * @param {Object} shape - Arrow shape data
+ * @returns {number} Head length
+ */
+function getArrowHeadLength(shape) {
+  return Math.max(10, (shape.lineWidth || 1) * 3);
+}
+
+/**
+ * Build SVG markup for a shape
+ * @param {Object} shape - Shape data with kind, start, end, colors and lineWidth
+ * @returns {string} SVG markup
+ */
+function shapeToElement(shape) {
+  const { start, end } = shape;
+  const stroke = escapeXml(shape.color || '#000000');
+  const fill = shape.fillColor ? escapeXml(shape.fillColor) : 'none';
+  const common = `stroke="${stroke}" stroke-width="${round(shape.lineWidth || 1)}" ` +
+    'stroke-linecap="round" stroke-linejoin="round"';
+
+  switch (shape.kind) {
+    case 'line':
+      return `<line x1="${round(start.x)}" y1="${round(start.y)}" x2="${round(end.x)}" y2="${round(end.y)}" ${common}/>`;
+
+    case 'rectangle':
+      return `<rect x="${round(Math.min(start.x, end.x))}" y="${round(Math.min(start.y, end.y))}" ` +
+        `width="${round(Math.abs(end.x - start.x))}" height="${round(Math.abs(end.y - start.y))}" ` +
+        `fill="${fill}" ${common}/>`;
+
+    case 'ellipse':
+      return `<ellipse cx="${round((start.x + end.x) / 2)}" cy="${round((start.y + end.y) / 2)}" ` +
+        `rx="${round(Math.abs(end.x - start.x) / 2)}" ry="${round(Math.abs(end.y - start.y) / 2)}" ` +
+        `fill="${fill}" ${common}/>`;
+
+    case 'arrow': {
+      const angle = Math.atan2(end.y - start.y, end.x - start.x);
+      const length = getArrowHeadLength(shape);
+      const spread = Math.PI / 7;
+      const corner = (offset) => `${round(end.x - length * Math.cos(angle + offset))},` +
+        `${round(end.y - length * Math.sin(angle + offset))}`;
+
+      return `<g ${common}>` +
+        `<line x1="${round(start.x)}" y1="${round(start.y)}" x2="${round(end.x)}" y2="${round(end.y)}"/>` +
+        `<polygon points="${round(end.x)},${round(end.y)} ${corner(-spread)} ${corner(spread)}" fill="${stroke}"/>` +
+        '</g>';
+    }
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build an SVG text element for a text object
+ * @param {Object} text - Text data with x, y, text, color and fontSize
+ * @returns {string} SVG text markup
+ */
+function textToElement(text) {
+  const lineHeight = text.fontSize * TEXT_LINE_HEIGHT;
+  const lines = text.text.split('\n')
+    .map((line, i) => `<tspan x="${round(text.x)}" y="${round(text.y + i * lineHeight)}">${escapeXml(line)}</tspan>`)
+    .join('');
+
+  return `<text font-family="${TEXT_FONT_FAMILY}" font-size="${round(text.fontSize)}" ` +
+    `fill="${escapeXml(text.color || '#000000')}" dominant-baseline="text-before-edge" ` +
+    `xml:space="preserve">${lines}</text>`;
+}
+
+/**
+ * Render one layer's drawables as SVG markup
+ * Eraser strokes become masks over everything drawn before them on the same
+ * layer, matching the destination-out compositing used on the canvas
+ * @param {Array} drawables - The layer's drawables in drawing order
+ * @param {Object} bounds - Board bounds (mask area)
+ * @param {Array} defs - Shared list of mask definitions, appended to
+ * @returns {string} SVG markup
+ */
+function renderLayer(drawables, bounds, defs) {
+  let content = '';
+  let erasers = [];
+
+  const applyErasers = () => {
+    if (erasers.length === 0) return;
+
+    const maskId = `eraser-${defs.length + 1}`;
+    defs.push(
+      `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${bounds.x}" y="${bounds.y}" ` +
+      `width="${bounds.width}" height="${bounds.height}">` +
+      `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" fill="white"/>` +
+      erasers.join('') +
+      '</mask>'
+    );
+    content = `<g mask="url(#${maskId})">${content}</g>`;
+    erasers = [];
+  };
+
+  drawables.forEach(({ type, data }) => {
+    if (type === 'stroke' && data.tool === 'eraser') {
+      erasers.push(strokeToPath(data, 'black'));
+      return;
+    }
+
+    applyErasers();
+    if (type === 'image') {
+      content += imageToElement(data);
+    } else if (type === 'shape') {
+      content += shapeToElement(data);
+    } else if (type === 'text') {
+      content += textToElement(data);
+    } else if (type === 'fill') {
+      content += fillToElement(data);
+    } else {
+      content += strokeToPath(data, data.color || '#000000');
+    }
+  });
+  applyErasers();
+
+  return content;
+}
+
+/**
+ * Render the board as an SVG document
+ * Each visible layer becomes a group, stacked bottom to top
+ * @param {Array} operations - Active operations in drawing order
+ * @param {Array} layers - Room layers, bottom to top
+ * @returns {string} SVG document
+ */
+function toSVG(operations, layers) {
+  const visibleLayers = layers.filter(layer => layer.visible);
+  const visibleIds = new Set(visibleLayers.map(layer => layer.id));
+  const drawables = getDrawables(resolveOperations(operations))
+    .filter(op => visibleIds.has(getLayerId(op)));
+  const bounds = getBounds(drawables);
+  const defs = [];
+
+  const groups = visibleLayers.map(layer => {
+    const content = renderLayer(drawables.filter(op => getLayerId(op) === layer.id), bounds, defs);
+    return content ? `<g id="${escapeXml(layer.id)}">${content}</g>` : '';
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${bounds.width}" height="${bounds.height}" ` +
+      `viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}">`,
+    defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+    `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" fill="#FFFFFF"/>`,
+    ...groups,
+    '</svg>'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Build the JSON export for a room
+ * Contains the operations visible on the board, with edits already applied
+ * @param {Object} room - Room data
+ * @returns {Object} Serializable export object
+ */
+function toJSON(room) {
+  return {
+    version: EXPORT_VERSION,
+    roomId: room.id,
+    exportedAt: new Date().toISOString(),
+    layers: room.state.layers,
+    operations: resolveOperations(room.state.getActiveOperations())
+  };
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  toSVG,
+  toJSON
+};
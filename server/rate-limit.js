@@ -0,0 +1,188 @@
+/**
+ * Rate Limiting
+ * Token buckets that cap how fast a client may send events: per socket, and
+ * per address for joins
+ */
+
+// Bucket sizes (the burst allowed) and refill rates in tokens per second.
+// Live drawing and cursors stream continuously (batched every 50ms / throttled
+// to 100ms on the client); stored actions come in bursts, e.g. when strokes
+// drawn offline are sent after a reconnect
+const DEFAULT_LIMITS = {
+  stream: { capacity: 60, refillRate: 40 },
+  action: { capacity: 40, refillRate: 20 },
+  import: { capacity: 3, refillRate: 0.2 },
+  // Joining checks passwords, so guessing is kept slow
+  join: { capacity: 5, refillRate: 0.2 },
+  chat: { capacity: 5, refillRate: 1 }
+};
+
+// Bucket each event draws from (anything else uses 'action')
+const EVENT_BUCKETS = {
+  'draw-path': 'stream',
+  'cursor-move': 'stream',
+  'import-board': 'import',
+  'import-image': 'import',
+  'join-room': 'join',
+  'create-room': 'join',
+  'chat-message': 'chat'
+};
+
+// Buckets shared by all sockets from one address, so opening more
+// connections doesn't buy more password guesses
+const SHARED_BUCKETS = ['join'];
+
+class TokenBucket {
+  /**
+   * @param {number} capacity - Most tokens the bucket holds
+   * @param {number} refillRate - Tokens added per second
+   */
+  constructor(capacity, refillRate) {
+    this.capacity = capacity;
+    this.refillRate = refillRate;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / 1000 * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take tokens if there are enough
+   * @param {number} count - Tokens needed
+   * @returns {boolean} True if the tokens were taken
+   */
+  take(count = 1) {
+    this.refill();
+    if (this.tokens < count) return false;
+    this.tokens -= count;
+    return true;
+  }
+
+  /**
+   * Check whether the bucket has refilled completely
+   * @returns {boolean} True if it is full
+   */
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Get how long until enough tokens are available
+   * @param {number} count - Tokens needed
+   * @returns {number} Milliseconds to wait (0 if they are available now)
+   */
+  getWaitTime(count = 1) {
+    this.refill();
+    return Math.max(0, Math.ceil((count - this.tokens) / this.refillRate * 1000));
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} limits - Map of bucket name -> { capacity, refillRate }
+   * @param {Map} sharedBuckets - Buckets used together with other limiters
+   * (map of bucket name -> TokenBucket, see SharedBuckets)
+   */
+  constructor(limits = DEFAULT_LIMITS, sharedBuckets = new Map()) {
+    this.limits = limits;
+    // Map of bucket name -> TokenBucket, created on first use
+    this.buckets = new Map(sharedBuckets);
+  }
+
+  /**
+   * Check whether an event is within its bucket's limit, using up a token if so
+   * @param {string} event - Event name
+   * @returns {boolean} True if the event may be handled
+   */
+  allow(event) {
+    return this.getBucket(event).take();
+  }
+
+  /**
+   * Get how long until an event would be within its bucket's limit again
+   * @param {string} event - Event name
+   * @returns {number} Milliseconds to wait
+   */
+  getRetryDelay(event) {
+    return this.getBucket(event).getWaitTime();
+  }
+
+  /**
+   * Get the bucket an event draws from, creating it on first use
+   * @param {string} event - Event name
+   * @returns {TokenBucket} The bucket
+   */
+  getBucket(event) {
+    const name = EVENT_BUCKETS[event] || 'action';
+    if (!this.buckets.has(name)) {
+      const { capacity, refillRate } = this.limits[name];
+      this.buckets.set(name, new TokenBucket(capacity, refillRate));
+    }
+    return this.buckets.get(name);
+  }
+}
+
+class SharedBuckets {
+  /**
+   * @param {Object} limits - Map of bucket name -> { capacity, refillRate }
+   */
+  constructor(limits = DEFAULT_LIMITS) {
+    this.limits = limits;
+    // Map of key (client address) -> { buckets, users }, where buckets maps
+    // bucket name -> TokenBucket and users counts the sockets using them
+    this.byKey = new Map();
+  }
+
+  /**
+   * Get the shared buckets for a key, to hand to a RateLimiter
+   * Every call must be matched by a release() once the socket is gone
+   * @param {string} key - Client address
+   * @returns {Map} Map of bucket name -> TokenBucket
+   */
+  acquire(key) {
+    this.prune();
+    if (!this.byKey.has(key)) {
+      const buckets = new Map();
+      SHARED_BUCKETS.forEach(name => {
+        const { capacity, refillRate } = this.limits[name];
+        buckets.set(name, new TokenBucket(capacity, refillRate));
+      });
+      this.byKey.set(key, { buckets, users: 0 });
+    }
+
+    const entry = this.byKey.get(key);
+    entry.users++;
+    return entry.buckets;
+  }
+
+  /**
+   * Stop using the shared buckets of a key
+   * @param {string} key - Client address
+   */
+  release(key) {
+    const entry = this.byKey.get(key);
+    if (entry) entry.users--;
+  }
+
+  /**
+   * Forget keys no socket uses whose buckets have refilled completely (a new
+   * set would be the same), so the map doesn't grow with every address seen
+   */
+  prune() {
+    this.byKey.forEach((entry, key) => {
+      if (entry.users <= 0 && [...entry.buckets.values()].every(bucket => bucket.isFull())) {
+        this.byKey.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = { TokenBucket, RateLimiter, SharedBuckets, DEFAULT_LIMITS };
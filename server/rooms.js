@@ -3,14 +3,38 @@
  * Manages multiple drawing rooms and their states
  */
 
+const crypto = require('crypto');
 const DrawingState = require('./drawing-state');
+const { MemoryStorage } = require('./storage');
+const { ROLES } = require('./validation');
+
+// How long invite links work unless the inviter picks otherwise, and the longest allowed
+const DEFAULT_INVITE_HOURS = 24;
+const MAX_INVITE_HOURS = 30 * 24;
+// Journal entries a loaded room may append before it is compacted into a snapshot
+const COMPACT_AFTER_ENTRIES = 1000;
+// Chat messages a room remembers for people who join later
+const MAX_CHAT_MESSAGES = 100;
 
 class RoomManager {
-  constructor() {
+  /**
+   * @param {Object} storage - Storage backend for room history (see storage.js)
+   * @param {Object} options - Room options
+   * @param {number} options.simplifyTolerance - Stroke simplification tolerance (see DrawingState)
+   */
+  constructor(storage = new MemoryStorage(), options = {}) {
+    // Persistent storage for room history
+    this.storage = storage;
+    // Options passed to every room's DrawingState
+    this.simplifyTolerance = options.simplifyTolerance;
     // Map of roomId -> room data
     this.rooms = new Map();
     // Map of socketId -> roomId for quick lookup
     this.userRooms = new Map();
+    // Map of socketId -> userId (one user can have several sockets, e.g. tabs)
+    this.socketUsers = new Map();
+    // Map of userId -> { name, color }, so a user keeps their look across reconnects and rooms
+    this.knownUsers = new Map();
     // User colors for visual identification
     this.userColors = [
       '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', 
@@ -21,6 +45,7 @@ class RoomManager {
 
   /**
    * Create or get a room
+   * Rooms that are not in memory are restored from storage
    * @param {string} roomId - Room identifier
    * @returns {Object} Room data
    */
@@ -28,43 +53,367 @@ class RoomManager {
     if (!this.rooms.has(roomId)) {
       this.rooms.set(roomId, {
         id: roomId,
-        state: new DrawingState(),
-        users: new Map(), // socketId -> user data
-        createdAt: Date.now()
+        state: this.loadState(roomId),
+        users: new Map(), // userId -> user data
+        sockets: new Map(), // socketId -> userId
+        messages: [], // latest chat messages, oldest first (not persisted)
+        createdAt: Date.now(),
+        lastActivity: Date.now()
       });
     }
     return this.rooms.get(roomId);
   }
 
   /**
-   * Add user to a room
+   * Get an existing room, restoring it from storage if it isn't loaded
+   * @param {string} roomId - Room identifier
+   * @returns {Object|null} Room data, or null if the room doesn't exist
+   */
+  getRoom(roomId) {
+    if (this.rooms.has(roomId)) {
+      return this.rooms.get(roomId);
+    }
+    if (!this.storage.has(roomId)) {
+      return null;
+    }
+
+    const room = this.getOrCreateRoom(roomId);
+    // Nobody joined, so unload it again like any other empty room
+    this.scheduleCleanup(roomId);
+    return room;
+  }
+
+  /**
+   * Create a new room (private unless asked otherwise)
+   * @param {string} roomId - Room identifier (must not exist yet)
+   * @param {Object} options - Room options
+   * @param {boolean} options.private - False for a public room
+   * @param {string} options.password - Password to join with, if any (otherwise invites only)
+   * @param {string} options.creatorId - User ID of the creator, who is let in as owner
+   * @param {boolean} options.readOnly - Start with the board locked for everyone but owners
+   * @returns {Object|null} Room data, or null if the room already exists
+   */
+  createRoom(roomId, options = {}) {
+    if (this.getRoom(roomId)) return null;
+
+    const room = this.getOrCreateRoom(roomId);
+    const isPrivate = options.private !== false;
+    if (isPrivate) {
+      room.state.setAccess({
+        private: true,
+        passwordHash: options.password ? this.hashPassword(options.password) : null,
+        members: options.creatorId ? [options.creatorId] : []
+      });
+    }
+    if (options.creatorId) {
+      room.state.setPermissions({ roles: { [options.creatorId]: 'owner' } });
+    }
+    if (options.readOnly) {
+      this.setReadOnly(room, true);
+    }
+    // Unloaded again if nobody joins
+    this.scheduleCleanup(roomId);
+
+    console.log(`[Rooms] Created ${isPrivate ? 'private' : 'public'} room ${roomId}`);
+    return room;
+  }
+
+  /**
+   * Delete a room and its stored history
+   * Its sockets no longer belong to any room; the caller tells them first
+   * @param {string} roomId - Room identifier
+   */
+  deleteRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room) {
+      room.sockets.forEach((userId, socketId) => {
+        this.userRooms.delete(socketId);
+        this.socketUsers.delete(socketId);
+      });
+      this.rooms.delete(roomId);
+    }
+    this.storage.remove(roomId);
+
+    console.log(`[Rooms] Deleted room ${roomId}`);
+  }
+
+  /**
+   * Check whether a user may join a room, letting them in for good when they
+   * bring the right password or a valid invite
+   * @param {Object} room - Room data
+   * @param {string} userId - User ID
+   * @param {Object} credentials - Optional password and invite token
+   * @returns {string|null} Why the user can't join, or null if they can
+   */
+  checkAccess(room, userId, credentials = {}) {
+    if (room.state.banned.includes(userId)) return 'You were removed from this room';
+
+    const access = room.state.access;
+    if (!access.private || access.members.includes(userId)) return null;
+
+    const invites = access.invites.filter(invite => invite.expiresAt > Date.now());
+    const validInvite = credentials.invite &&
+      invites.some(invite => invite.tokenHash === this.hashToken(credentials.invite));
+    const validPassword = credentials.password && access.passwordHash &&
+      this.verifyPassword(credentials.password, access.passwordHash);
+
+    if (!validInvite && !validPassword) {
+      if (credentials.invite) return 'This invite link is invalid or has expired';
+      if (credentials.password) return 'Wrong password';
+      return access.passwordHash
+        ? 'This room is private, enter its password or use an invite link'
+        : 'This room is private, you need an invite link';
+    }
+
+    room.state.setAccess({ invites, members: [...access.members, userId] });
+    return null;
+  }
+
+  /**
+   * Check whether a user has been let into a room (everyone but removed users is, for public rooms)
+   * @param {Object} room - Room data
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user can see the room
+   */
+  isMember(room, userId) {
+    if (room.state.banned.includes(userId)) return false;
+    const access = room.state.access;
+    return !access.private || access.members.includes(userId);
+  }
+
+  /**
+   * Get a user's role in a room
+   * @param {Object} room - Room data
+   * @param {string} userId - User ID
+   * @returns {string} 'owner', 'editor' or 'viewer'
+   */
+  getRole(room, userId) {
+    return room.state.roles[userId] || 'editor';
+  }
+
+  /**
+   * Give a user a role in a room
+   * @param {Object} room - Room data
+   * @param {string} userId - User ID
+   * @param {string} role - 'owner', 'editor' or 'viewer'
+   */
+  setRole(room, userId, role) {
+    if (!ROLES.includes(role)) return;
+    room.state.setPermissions({ roles: { ...room.state.roles, [userId]: role } });
+  }
+
+  /**
+   * Lock or unlock a room's board
+   * @param {Object} room - Room data
+   * @param {boolean} readOnly - True to let only owners change the board
+   */
+  setReadOnly(room, readOnly) {
+    room.state.setPermissions({ readOnly });
+  }
+
+  /**
+   * Check whether a user owns a room
+   * @param {Object} room - Room data
+   * @param {string} userId - User ID
+   * @returns {boolean} True for owners
+   */
+  isOwner(room, userId) {
+    return this.getRole(room, userId) === 'owner';
+  }
+
+  /**
+   * Check why a user can't change a room's board, if they can't
+   * @param {Object} room - Room data
+   * @param {string} userId - User ID
+   * @returns {string|null} Reason, or null if the user may draw and edit
+   */
+  getEditRestriction(room, userId) {
+    const role = this.getRole(room, userId);
+    if (role === 'viewer') return 'Viewers can\'t change the board';
+    if (room.state.readOnly && role !== 'owner') return 'The board is locked';
+    return null;
+  }
+
+  /**
+   * Take a user out of a room for good: they are added to the ban list that
+   * checkAccess refuses, and a private room drops them from its members.
+   * Their role is kept, so nothing (e.g. a role falling back to the default)
+   * could ever let them back with more than they had
+   * (their sockets are disconnected from the room by the caller)
+   * @param {Object} room - Room data
+   * @param {string} userId - User ID
+   */
+  banUser(room, userId) {
+    if (!room.state.banned.includes(userId)) {
+      room.state.setPermissions({ banned: [...room.state.banned, userId] });
+    }
+
+    if (room.state.access.private) {
+      room.state.setAccess({ members: room.state.access.members.filter(id => id !== userId) });
+    }
+  }
+
+  /**
+   * Create an invite link token for a private room
+   * @param {Object} room - Room data
+   * @param {number} hours - How long the invite works (capped at 30 days)
+   * @returns {Object} The token (only shown once) and when it expires
+   */
+  createInvite(room, hours = DEFAULT_INVITE_HOURS) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + Math.min(hours, MAX_INVITE_HOURS) * 60 * 60 * 1000;
+
+    // Expired invites are dropped whenever a new one is made
+    const invites = room.state.access.invites.filter(invite => invite.expiresAt > Date.now());
+    room.state.setAccess({ invites: [...invites, { tokenHash: this.hashToken(token), expiresAt }] });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Hash a password with a random salt
+   * @param {string} password - Password
+   * @returns {string} "salt:hash" in hex
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   * @param {string} password - Password to check
+   * @param {string} stored - "salt:hash" from hashPassword
+   * @returns {boolean} True if it matches
+   */
+  verifyPassword(password, stored) {
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Hash an invite token (only hashes are stored)
+   * @param {string} token - Invite token
+   * @returns {string} Hash in hex
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Restore a room's drawing state from storage
+   * @param {string} roomId - Room identifier
+   * @returns {DrawingState} Drawing state wired to persist further changes
+   */
+  loadState(roomId) {
+    // Entries in the room's journal since it was last compacted
+    let journalLength = 0;
+
+    const state = new DrawingState({
+      onChange: (entry) => {
+        const room = this.rooms.get(roomId);
+        if (room) {
+          room.lastActivity = Date.now();
+        }
+
+        // Busy rooms can stay loaded for days, so compact while they're in use too
+        if (++journalLength > COMPACT_AFTER_ENTRIES) {
+          this.storage.rewrite(roomId, [state.toSnapshot()]);
+          journalLength = 1;
+        } else {
+          this.storage.append(roomId, entry);
+        }
+      },
+      simplifyTolerance: this.simplifyTolerance
+    });
+
+    const entries = this.storage.load(roomId);
+    state.load(entries);
+    journalLength = entries.length;
+
+    // Compact the journal so it doesn't grow without bound across restarts
+    if (entries.length > 1) {
+      this.storage.rewrite(roomId, [state.toSnapshot()]);
+      journalLength = 1;
+    }
+
+    if (entries.length > 0) {
+      console.log(`[Storage] Restored room ${roomId} with ${state.operations.length} operations`);
+    }
+
+    return state;
+  }
+
+  /**
+   * Get the public user id for a client token
+   * The token stays secret (it proves who you are), so the id is derived from it
+   * @param {string} token - Token the browser keeps, if any
+   * @param {string} socketId - Socket ID, the identity of clients without a token
+   * @returns {string} User ID
+   */
+  getUserId(token, socketId) {
+    if (!token) return socketId;
+    return `user_${crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * Pick a user's color from their id, so it is the same in every room and after restarts
+   * @param {string} userId - User ID
+   * @returns {string} Color
+   */
+  getUserColor(userId) {
+    let hash = 0;
+    for (let i = 0; i < userId.length; i++) {
+      hash = (hash * 31 + userId.charCodeAt(i)) >>> 0;
+    }
+    return this.userColors[hash % this.userColors.length];
+  }
+
+  /**
+   * Add a user's socket to a room
+   * A user who is already there (another tab) keeps their record
    * @param {string} roomId - Room identifier
    * @param {string} socketId - Socket ID
-   * @param {Object} userData - User information
-   * @returns {Object} User data with assigned color
+   * @param {Object} userData - User information (name, and the browser's token)
+   * @returns {Object} User data with stable id and color
    */
   addUserToRoom(roomId, socketId, userData = {}) {
     const room = this.getOrCreateRoom(roomId);
-    
-    // Assign a color to the user
-    const colorIndex = room.users.size % this.userColors.length;
-    const user = {
-      id: socketId,
-      name: userData.name || `User ${room.users.size + 1}`,
-      color: this.userColors[colorIndex],
-      joinedAt: Date.now()
+    const userId = this.getUserId(userData.token, socketId);
+
+    const known = this.knownUsers.get(userId) || {
+      name: `User ${room.users.size + 1}`,
+      color: this.getUserColor(userId)
     };
+    if (userData.name) {
+      known.name = userData.name;
+    }
+    this.knownUsers.set(userId, known);
+
+    const user = room.users.get(userId) || { id: userId, joinedAt: Date.now() };
+    user.name = known.name;
+    user.color = known.color;
+
+    // A room without an owner gets its first joiner as owner
+    if (!Object.values(room.state.roles).includes('owner')) {
+      this.setRole(room, userId, 'owner');
+    }
 
-    room.users.set(socketId, user);
+    room.users.set(userId, user);
+    room.sockets.set(socketId, userId);
+    room.lastActivity = Date.now();
     this.userRooms.set(socketId, roomId);
+    this.socketUsers.set(socketId, userId);
 
     return user;
   }
 
   /**
-   * Remove user from their room
+   * Remove a socket from its room (the user leaves with their last socket)
    * @param {string} socketId - Socket ID
-   * @returns {Object|null} Room data if user was in a room
+   * @returns {Object|null} Room data if the socket was in a room
    */
   removeUser(socketId) {
     const roomId = this.userRooms.get(socketId);
@@ -73,22 +422,35 @@ class RoomManager {
     const room = this.rooms.get(roomId);
     if (!room) return null;
 
-    room.users.delete(socketId);
+    const userId = this.socketUsers.get(socketId);
+    room.sockets.delete(socketId);
     this.userRooms.delete(socketId);
+    this.socketUsers.delete(socketId);
+    if (this.getUserSockets(roomId, userId).length === 0) {
+      room.users.delete(userId);
+    }
 
-    // Clean up empty rooms after 5 minutes
     if (room.users.size === 0) {
-      setTimeout(() => {
-        const currentRoom = this.rooms.get(roomId);
-        if (currentRoom && currentRoom.users.size === 0) {
-          this.rooms.delete(roomId);
-        }
-      }, 5 * 60 * 1000);
+      this.scheduleCleanup(roomId);
     }
 
     return room;
   }
 
+  /**
+   * Unload a room after 5 minutes if it is still empty
+   * Its history stays in storage and is restored on the next join
+   * @param {string} roomId - Room identifier
+   */
+  scheduleCleanup(roomId) {
+    setTimeout(() => {
+      const currentRoom = this.rooms.get(roomId);
+      if (currentRoom && currentRoom.users.size === 0) {
+        this.rooms.delete(roomId);
+      }
+    }, 5 * 60 * 1000);
+  }
+
   /**
    * Get room by socket ID
    * @param {string} socketId - Socket ID
@@ -106,7 +468,19 @@ class RoomManager {
    */
   getUser(socketId) {
     const room = this.getRoomBySocketId(socketId);
-    return room ? room.users.get(socketId) : null;
+    return room ? room.users.get(this.socketUsers.get(socketId)) : null;
+  }
+
+  /**
+   * Get the sockets a user has open in a room
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User ID
+   * @returns {Array} Socket IDs
+   */
+  getUserSockets(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+    return [...room.sockets].filter(([, id]) => id === userId).map(([socketId]) => socketId);
   }
 
   /**
@@ -117,7 +491,32 @@ class RoomManager {
   getRoomUsers(roomId) {
     const room = this.rooms.get(roomId);
     if (!room) return [];
-    return Array.from(room.users.values());
+    return Array.from(room.users.values()).map(user => ({ ...user, role: this.getRole(room, user.id) }));
+  }
+
+  /**
+   * Add a chat message to a room's history, dropping the oldest past the limit
+   * @param {Object} room - Room data
+   * @param {Object} user - Author
+   * @param {string} text - Message text
+   * @returns {Object} The stored message
+   */
+  addMessage(room, user, text) {
+    const message = {
+      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      userId: user.id,
+      userName: user.name,
+      userColor: user.color,
+      text,
+      timestamp: Date.now()
+    };
+
+    room.messages.push(message);
+    room.lastActivity = Date.now();
+    if (room.messages.length > MAX_CHAT_MESSAGES) {
+      room.messages.shift();
+    }
+    return message;
   }
 
   /**
@@ -127,11 +526,13 @@ class RoomManager {
   getStats() {
     return {
       totalRooms: this.rooms.size,
-      totalUsers: this.userRooms.size,
-      rooms: Array.from(this.rooms.values()).map(room => ({
+      totalUsers: Array.from(this.rooms.values()).reduce((total, room) => total + room.users.size, 0),
+      // Private room names may give away what they're about
+      rooms: Array.from(this.rooms.values()).filter(room => !room.state.access.private).map(room => ({
         id: room.id,
         users: room.users.size,
-        operations: room.state.operations.length
+        operations: room.state.operations.length,
+        lastActivity: room.lastActivity
       }))
     };
   }
@@ -8,6 +8,19 @@ const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
 const RoomManager = require('./rooms');
+const { FileStorage } = require('./storage');
+const exporter = require('./exporter');
+const { RateLimiter, SharedBuckets, DEFAULT_LIMITS } = require('./rate-limit');
+const {
+  IMPORTABLE_TYPES,
+  validateEvent,
+  validateRoomSettings,
+  normalizeRoomId,
+  validateOperationData,
+  pickOperationData,
+  pickDrawPath
+} = require('./validation');
+const { isEditOperation } = require('../shared/operations');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,15 +29,51 @@ const io = socketIO(server, {
     origin: "*",
     methods: ["GET", "POST"]
   },
-  // Increase max payload for large drawing operations
-  maxHttpBufferSize: 1e6
+  // Increase max payload for large drawing operations and imported images
+  maxHttpBufferSize: 5e6
 });
 
-const roomManager = new RoomManager();
+// Shortest time between two rejection notices for the same event on one socket
+const REJECTION_NOTICE_INTERVAL = 1000;
+
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+// Stroke simplification tolerance in board units (0 stores every captured point)
+const STROKE_SIMPLIFY_TOLERANCE = process.env.STROKE_SIMPLIFY_TOLERANCE;
+const roomManager = new RoomManager(new FileStorage(path.join(DATA_DIR, 'rooms')), {
+  simplifyTolerance: STROKE_SIMPLIFY_TOLERANCE !== undefined ? Number(STROKE_SIMPLIFY_TOLERANCE) : undefined
+});
+
+// Rate limit buckets shared by all sockets from one address (joins)
+const addressBuckets = new SharedBuckets();
+
+/**
+ * Tag a broadcast with the room's sequence number after the change it reports,
+ * so clients know where to resume from after a reconnect
+ * @param {Object} room - Room the change happened in
+ * @param {Object} payload - Event payload
+ * @returns {Object} Payload with a sequence field
+ */
+function withSequence(room, payload) {
+  return { ...payload, sequence: room.state.sequence };
+}
+
+/**
+ * Get the full state sent to users joining or reloading a room: the board
+ * plus the recent chat messages
+ * @param {Object} room - Room data
+ * @returns {Object} canvas-state payload
+ */
+function getCanvasState(room) {
+  return { ...room.state.getState(), messages: room.messages };
+}
 
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
+// Code shared with the server (operation resolving) is served under /shared
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+// Room settings sent to the REST API are small
+app.use('/api', express.json({ limit: '10kb' }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -34,16 +83,235 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Find the room an HTTP request asks for, answering with an error if it
+ * doesn't exist or the requester isn't let into it
+ * Private rooms need the browser's user token in the X-User-Token header
+ * @returns {Object|null} Room data
+ */
+function getRequestedRoom(req, res) {
+  const room = roomManager.getRoom(normalizeRoomId(req.params.roomId));
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return null;
+  }
+
+  const token = req.get('X-User-Token');
+  if (!roomManager.isMember(room, roomManager.getUserId(token, null))) {
+    res.status(403).json({ error: 'This room is private' });
+    return null;
+  }
+  return room;
+}
+
+// List the active public rooms for the lobby, most recently active first
+app.get('/api/rooms', (req, res) => {
+  const rooms = roomManager.getStats().rooms
+    .sort((a, b) => b.lastActivity - a.lastActivity);
+  res.json({ rooms });
+});
+
+// Create a room with settings (the user whose token is sent becomes its owner)
+app.post('/api/rooms', (req, res) => {
+  const error = validateRoomSettings(req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const token = req.get('X-User-Token');
+  const creatorId = token ? roomManager.getUserId(token, null) : null;
+  // Nobody could ever get into a private room without a password or a creator
+  if (req.body.private !== false && !req.body.password && !creatorId) {
+    res.status(400).json({ error: 'Private rooms need a password or an X-User-Token' });
+    return;
+  }
+
+  const room = roomManager.createRoom(normalizeRoomId(req.body.roomId), {
+    private: req.body.private,
+    password: req.body.password,
+    creatorId,
+    readOnly: req.body.readOnly
+  });
+  if (!room) {
+    res.status(409).json({ error: 'A room with that name already exists' });
+    return;
+  }
+
+  res.status(201).json({
+    room: {
+      id: room.id,
+      private: room.state.access.private,
+      readOnly: room.state.readOnly
+    }
+  });
+});
+
+// Delete a room and its history (owners only, by the X-User-Token header)
+app.delete('/api/rooms/:roomId', (req, res) => {
+  const room = getRequestedRoom(req, res);
+  if (!room) return;
+
+  const userId = roomManager.getUserId(req.get('X-User-Token'), null);
+  if (!roomManager.isOwner(room, userId)) {
+    res.status(403).json({ error: 'Only room owners can delete a room' });
+    return;
+  }
+
+  // Everyone still in the room is sent elsewhere first
+  io.to(room.id).emit('room-deleted', { roomId: room.id });
+  io.in(room.id).socketsLeave(room.id);
+  roomManager.deleteRoom(room.id);
+
+  res.status(204).end();
+});
+
+// Export a room's active drawing as SVG
+app.get('/rooms/:roomId/export.svg', (req, res) => {
+  const room = getRequestedRoom(req, res);
+  if (!room) return;
+
+  res.type('image/svg+xml');
+  if (req.query.download !== undefined) {
+    res.attachment(`${room.id}.svg`);
+  }
+  res.send(exporter.toSVG(room.state.getActiveOperations(), room.state.layers));
+});
+
+// Export the operations visible on a room's board as JSON
+app.get('/rooms/:roomId/export.json', (req, res) => {
+  const room = getRequestedRoom(req, res);
+  if (!room) return;
+
+  res.attachment(`${room.id}.json`);
+  res.json(exporter.toJSON(room));
+});
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
   console.log(`[Connection] User connected: ${socket.id}`);
 
+  const address = socket.handshake.address;
+  const limiter = new RateLimiter(DEFAULT_LIMITS, addressBuckets.acquire(address));
+  // Map of event -> when a rejection notice for it was last sent
+  const lastRejections = new Map();
+
+  /**
+   * Tell the client an event was refused
+   * A refused stroke-complete gets stroke-rejected so the author drops its
+   * pending copy; other events get one event-rejected notice per second at most,
+   * saying when to retry if the event was over its rate limit
+   */
+  const reject = (event, reason, data, retryAfter) => {
+    if (event === 'stroke-complete') {
+      socket.emit('stroke-rejected', { reason, clientId: data && data.clientId });
+      return;
+    }
+
+    const now = Date.now();
+    if (now - (lastRejections.get(event) || 0) < REJECTION_NOTICE_INTERVAL) return;
+    lastRejections.set(event, now);
+
+    socket.emit('event-rejected', { event, reason, retryAfter });
+    console.warn(`[Rejected] ${event} from ${socket.id}: ${reason}`);
+  };
+
+  /**
+   * Register an event handler that only runs for valid payloads within the
+   * socket's rate limit
+   */
+  const handle = (event, handler) => {
+    socket.on(event, (data) => {
+      if (!limiter.allow(event)) {
+        reject(event, 'Too many requests, slow down', data, limiter.getRetryDelay(event));
+        return;
+      }
+      const reason = validateEvent(event, data);
+      if (reason) {
+        reject(event, reason, data);
+        return;
+      }
+      handler(data);
+    });
+  };
+
+  /**
+   * Check that the user may change the board (not a viewer, and not locked
+   * out by a read-only board), refusing the event if not
+   * @returns {boolean} True if the event may go ahead
+   */
+  const canEdit = (event, room, user, data) => {
+    const reason = roomManager.getEditRestriction(room, user.id);
+    if (reason) {
+      reject(event, reason, data);
+      return false;
+    }
+    return true;
+  };
+
   /**
-   * Handle user joining a room
+   * Check that the user owns the room, refusing the event if not
+   * @returns {boolean} True if the event may go ahead
    */
-  socket.on('join-room', (data) => {
-    const roomId = data.roomId || 'default';
-    const user = roomManager.addUserToRoom(roomId, socket.id, data.user);
+  const isOwner = (event, room, user, data) => {
+    if (!roomManager.isOwner(room, user.id)) {
+      reject(event, 'Only room owners can do that', data);
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Check that the user may change a layer, refusing the event if not.
+   * Locks keep layers (e.g. a template) safe from editors, so setting or
+   * removing a lock and changing a locked layer are for owners only
+   * @returns {boolean} True if the event may go ahead
+   */
+  const canChangeLayer = (event, room, user, data, locking) => {
+    const layer = room.state.getLayer(data.id);
+    if (!locking && !(layer && layer.locked)) return true;
+    return isOwner(event, room, user, data);
+  };
+
+  /**
+   * Take a socket (this one unless given) out of its room, telling the others
+   * if it was its user's last one
+   */
+  const leaveRoom = (target = socket) => {
+    const user = roomManager.getUser(target.id);
+    const room = roomManager.removeUser(target.id);
+    if (!room) return;
+
+    target.leave(room.id);
+    if (!room.users.has(user.id)) {
+      target.to(room.id).emit('user-disconnected', {
+        userId: user.id,
+        users: roomManager.getRoomUsers(room.id)
+      });
+    }
+
+    console.log(`[Leave] User ${user.id} (socket ${target.id}) left room ${room.id}`);
+  };
+
+  /**
+   * Put this socket in a room it has been let into and send it the room
+   * @param {string} roomId - Room identifier
+   * @param {Object} data - join-room or create-room payload
+   */
+  const enterRoom = (roomId, data) => {
+    const userData = data.user || {};
+
+    // Switching rooms leaves the previous one
+    const previousRoom = roomManager.getRoomBySocketId(socket.id);
+    if (previousRoom && previousRoom.id !== roomId) {
+      leaveRoom();
+    }
+
+    // The same user may already be here from another tab
+    const userId = roomManager.getUserId(userData.token, socket.id);
+    const alreadyPresent = roomManager.getUserSockets(roomId, userId).some(id => id !== socket.id);
+
+    const user = roomManager.addUserToRoom(roomId, socket.id, userData);
     const room = roomManager.getRoomBySocketId(socket.id);
 
     // Join the socket room
@@ -51,126 +319,409 @@ io.on('connection', (socket) => {
 
     // Send user their assigned data
     socket.emit('user-joined', {
-      user,
-      roomId
+      user: { ...user, role: roomManager.getRole(room, user.id) },
+      roomId,
+      private: room.state.access.private,
+      readOnly: room.state.readOnly
     });
 
-    // Send current canvas state to the new user
-    socket.emit('canvas-state', room.state.getState());
+    // A reconnecting user only needs what changed since the last sequence it saw,
+    // as long as the room still remembers those changes
+    const changes = data.lastSequence !== undefined
+      ? room.state.getChangesSince(data.lastSequence)
+      : null;
+    if (changes) {
+      socket.emit('canvas-delta', withSequence(room, { changes, messages: room.messages }));
+    } else {
+      socket.emit('canvas-state', getCanvasState(room));
+    }
 
     // Notify other users in the room
-    socket.to(roomId).emit('user-connected', {
-      user,
-      users: roomManager.getRoomUsers(roomId)
-    });
+    if (!alreadyPresent) {
+      socket.to(roomId).emit('user-connected', {
+        user: { ...user, role: roomManager.getRole(room, user.id) },
+        users: roomManager.getRoomUsers(roomId)
+      });
+    }
 
     // Send all users to the new user
     socket.emit('users-list', {
       users: roomManager.getRoomUsers(roomId)
     });
 
-    console.log(`[Join] User ${socket.id} joined room ${roomId}`);
+    console.log(`[Join] User ${user.id} (socket ${socket.id}) joined room ${roomId}`);
+  };
+
+  /**
+   * Handle user joining a room (rooms that don't exist yet are created as public rooms)
+   */
+  handle('join-room', (data) => {
+    const roomId = normalizeRoomId(data.roomId);
+    const room = roomManager.getRoom(roomId);
+
+    if (room) {
+      const userId = roomManager.getUserId(data.user && data.user.token, socket.id);
+      const reason = roomManager.checkAccess(room, userId, { password: data.password, invite: data.invite });
+      if (reason) {
+        socket.emit('join-rejected', { roomId, reason });
+        console.log(`[Join] Refused ${userId} in room ${roomId}: ${reason}`);
+        return;
+      }
+    }
+
+    enterRoom(roomId, data);
+  });
+
+  /**
+   * Handle creating a private room (joined right away)
+   */
+  handle('create-room', (data) => {
+    const userId = roomManager.getUserId(data.user && data.user.token, socket.id);
+    const roomId = normalizeRoomId(data.roomId);
+    const room = roomManager.createRoom(roomId, { password: data.password, creatorId: userId });
+    if (!room) {
+      socket.emit('join-rejected', { roomId, reason: 'A room with that name already exists' });
+      return;
+    }
+
+    enterRoom(room.id, data);
   });
 
   /**
-   * Handle drawing operations
+   * Handle creating an invite link for the current private room
    */
-  socket.on('draw', (data) => {
+  handle('create-invite', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    if (!room.state.access.private) {
+      reject('create-invite', 'Public rooms can be joined by name, no invite needed', data);
+      return;
+    }
+
+    const invite = roomManager.createInvite(room, data.expiresInHours);
+    socket.emit('invite-created', { roomId: room.id, ...invite });
+  });
+
+  /**
+   * Handle an owner changing another user's role
+   */
+  handle('set-role', (data) => {
     const room = roomManager.getRoomBySocketId(socket.id);
     if (!room) return;
 
     const user = roomManager.getUser(socket.id);
-    
-    // Add operation to room state
-    const operation = room.state.addOperation({
-      type: 'draw',
-      data: data,
-      userId: socket.id,
-      userName: user.name,
-      userColor: user.color
+    if (!isOwner('set-role', room, user, data)) return;
+
+    // Owners can't demote themselves, so a room always keeps one
+    if (data.userId === user.id) {
+      reject('set-role', 'You can\'t change your own role', data);
+      return;
+    }
+
+    roomManager.setRole(room, data.userId, data.role);
+    io.to(room.id).emit('users-list', {
+      users: roomManager.getRoomUsers(room.id)
+    });
+
+    console.log(`[Roles] User ${user.id} made ${data.userId} ${data.role} in room ${room.id}`);
+  });
+
+  /**
+   * Handle an owner removing a user (all of their tabs) from the room
+   */
+  handle('kick-user', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    const user = roomManager.getUser(socket.id);
+    if (!isOwner('kick-user', room, user, data)) return;
+
+    if (data.userId === user.id) {
+      reject('kick-user', 'You can\'t remove yourself', data);
+      return;
+    }
+
+    roomManager.getUserSockets(room.id, data.userId).forEach(socketId => {
+      const target = io.sockets.sockets.get(socketId);
+      if (!target) return;
+
+      target.emit('kicked', { roomId: room.id, by: user.name });
+      leaveRoom(target);
     });
+    roomManager.banUser(room, data.userId);
+
+    io.to(room.id).emit('users-list', {
+      users: roomManager.getRoomUsers(room.id)
+    });
+
+    console.log(`[Kick] User ${user.id} removed ${data.userId} from room ${room.id}`);
+  });
+
+  /**
+   * Handle an owner locking or unlocking the board
+   */
+  handle('set-read-only', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    const user = roomManager.getUser(socket.id);
+    if (!isOwner('set-read-only', room, user, data)) return;
 
-    // Broadcast to all other users in the room
-    socket.to(room.id).emit('draw', operation);
+    roomManager.setReadOnly(room, data.readOnly);
+    io.to(room.id).emit('room-locked', {
+      readOnly: data.readOnly,
+      lockedBy: user.id
+    });
   });
 
   /**
    * Handle drawing path updates (for smooth real-time drawing)
    */
-  socket.on('draw-path', (data) => {
+  handle('draw-path', (data) => {
     const room = roomManager.getRoomBySocketId(socket.id);
     if (!room) return;
 
     const user = roomManager.getUser(socket.id);
+    if (!canEdit('draw-path', room, user, data)) return;
 
     // Broadcast immediately without storing (for performance)
     socket.to(room.id).emit('draw-path', {
-      ...data,
-      userId: socket.id,
+      ...pickDrawPath(data),
+      userId: user.id,
       userColor: user.color
     });
   });
 
   /**
-   * Handle stroke completion (store in history)
+   * Handle stroke or shape completion (store in history)
    */
-  socket.on('stroke-complete', (data) => {
+  handle('stroke-complete', (data) => {
     const room = roomManager.getRoomBySocketId(socket.id);
     if (!room) return;
 
     const user = roomManager.getUser(socket.id);
+    if (!canEdit('stroke-complete', room, user, data)) return;
+
+    const type = data.type || 'stroke';
+
+    // The author's id for its local copy is echoed back but not stored
+    const clientId = data.clientId;
+    const operationData = pickOperationData(type, data);
+
+    // Locked layers can't be drawn on or edited
+    if (room.state.touchesLockedLayer(operationData)) {
+      socket.emit('stroke-rejected', { reason: 'Layer is locked', clientId });
+      return;
+    }
+    if (!isEditOperation({ type })) {
+      operationData.layerId = room.state.resolveLayerId(operationData.layerId);
+    }
     
     // Add complete stroke to history
     const operation = room.state.addOperation({
-      type: 'stroke',
-      data: data,
-      userId: socket.id,
+      type,
+      data: operationData,
+      userId: user.id,
       userName: user.name,
       userColor: user.color
     });
 
     // Broadcast to all other users
-    socket.to(room.id).emit('stroke-complete', operation);
+    socket.to(room.id).emit('stroke-complete', withSequence(room, operation));
+
+    // Acknowledge to the author with the assigned id (already drawn locally)
+    socket.emit('stroke-ack', withSequence(room, { ...operation, clientId }));
+  });
+
+  /**
+   * Handle importing a previously exported board (operations JSON)
+   */
+  handle('import-board', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    const user = roomManager.getUser(socket.id);
+    if (!canEdit('import-board', room, user, data)) return;
+
+    let imported = 0;
+
+    // Replay on top of the current board, re-attributed to the importer
+    data.operations.forEach(op => {
+      if (!op || !IMPORTABLE_TYPES.includes(op.type) || validateOperationData(op.type, op.data)) return;
+
+      const opData = pickOperationData(op.type, op.data);
+      opData.layerId = room.state.resolveLayerId(opData.layerId);
+      // Locked layers can't be drawn on, by imports either
+      if (room.state.touchesLockedLayer(opData)) return;
+
+      room.state.addOperation({
+        type: op.type,
+        data: opData,
+        userId: user.id,
+        userName: user.name,
+        userColor: user.color
+      });
+      imported++;
+    });
+
+    // Everyone rebuilds from the new history
+    io.to(room.id).emit('canvas-state', getCanvasState(room));
+
+    if (imported < data.operations.length) {
+      reject('import-board', `Skipped ${data.operations.length - imported} invalid or locked-layer operations`, data);
+    }
+
+    console.log(`[Import] User ${user.id} imported ${imported} operations into room ${room.id}`);
   });
 
   /**
-   * Handle global undo
+   * Handle importing an image (stored in history like a stroke)
    */
-  socket.on('undo', () => {
+  handle('import-image', (data) => {
     const room = roomManager.getRoomBySocketId(socket.id);
     if (!room) return;
 
-    const operation = room.state.undo();
+    const user = roomManager.getUser(socket.id);
+    if (!canEdit('import-image', room, user, data)) return;
+
+    const layerId = room.state.resolveLayerId(data.layerId);
+
+    if (room.state.getLayer(layerId).locked) {
+      // Echo the client id so the rejection isn't matched to another pending operation
+      socket.emit('stroke-rejected', { reason: 'Layer is locked', clientId: data.clientId });
+      return;
+    }
+
+    const operation = room.state.addOperation({
+      type: 'image',
+      data: {
+        layerId,
+        src: data.src,
+        x: data.x,
+        y: data.y,
+        width: data.width,
+        height: data.height
+      },
+      userId: user.id,
+      userName: user.name,
+      userColor: user.color
+    });
+
+    // Broadcast to all users including sender (the sender hasn't drawn it yet)
+    io.to(room.id).emit('stroke-complete', withSequence(room, operation));
+  });
+
+  /**
+   * Handle undo (the requester's own most recent operation, or anyone's in global mode)
+   */
+  handle('undo', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    const user = roomManager.getUser(socket.id);
+    if (!canEdit('undo', room, user, data)) return;
+
+    // Undoing other people's work is for owners only
+    const global = Boolean(data && data.global === true);
+    if (global && !isOwner('undo', room, user, data)) return;
+
+    const operation = room.state.undo(user.id, { global });
     if (operation) {
       // Broadcast undo to all users including sender
-      io.to(room.id).emit('undo', {
-        operation,
-        requestedBy: socket.id
-      });
+      io.to(room.id).emit('undo', withSequence(room, {
+        operationIds: [operation.id],
+        requestedBy: user.id
+      }));
     }
   });
 
   /**
-   * Handle global redo
+   * Handle redo (the operation the requester most recently undid)
    */
-  socket.on('redo', () => {
+  handle('redo', () => {
     const room = roomManager.getRoomBySocketId(socket.id);
     if (!room) return;
 
-    const operation = room.state.redo();
+    const user = roomManager.getUser(socket.id);
+    if (!canEdit('redo', room, user)) return;
+
+    const operation = room.state.redo(user.id);
     if (operation) {
       // Broadcast redo to all users including sender
-      io.to(room.id).emit('redo', {
-        operation,
-        requestedBy: socket.id
-      });
+      io.to(room.id).emit('redo', withSequence(room, {
+        operationIds: [operation.id],
+        requestedBy: user.id
+      }));
     }
   });
 
+  /**
+   * Handle creating a layer
+   */
+  handle('layer-create', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room || !canEdit('layer-create', room, roomManager.getUser(socket.id), data)) return;
+
+    room.state.createLayer(data && typeof data.name === 'string' ? data.name.trim() : '');
+    io.to(room.id).emit('layers-update', withSequence(room, { layers: room.state.layers }));
+  });
+
+  /**
+   * Handle renaming, hiding or locking a layer
+   */
+  handle('layer-update', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    const user = roomManager.getUser(socket.id);
+    if (!room || !canEdit('layer-update', room, user, data)) return;
+
+    const locking = data.changes.locked !== undefined;
+    if (!canChangeLayer('layer-update', room, user, data, locking)) return;
+
+    if (room.state.updateLayer(data.id, data.changes || {})) {
+      io.to(room.id).emit('layers-update', withSequence(room, { layers: room.state.layers }));
+    }
+  });
+
+  /**
+   * Handle reordering a layer
+   */
+  handle('layer-move', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    const user = roomManager.getUser(socket.id);
+    if (!room || !canEdit('layer-move', room, user, data)) return;
+    if (!canChangeLayer('layer-move', room, user, data, false)) return;
+
+    if (room.state.moveLayer(data.id, data.index)) {
+      io.to(room.id).emit('layers-update', withSequence(room, { layers: room.state.layers }));
+    }
+  });
+
+  /**
+   * Handle a client checking its history against the server's
+   */
+  handle('history-checksum', () => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    socket.emit('history-checksum', room.state.getChecksum());
+  });
+
+  /**
+   * Handle a client asking for the full canvas state (e.g. after its history diverged)
+   */
+  handle('request-state', () => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    socket.emit('canvas-state', getCanvasState(room));
+    console.log(`[Resync] Sent full state of room ${room.id} to ${socket.id}`);
+  });
+
   /**
    * Handle cursor position updates
    */
-  socket.on('cursor-move', (data) => {
+  handle('cursor-move', (data) => {
     const room = roomManager.getRoomBySocketId(socket.id);
     if (!room) return;
 
@@ -178,7 +729,7 @@ io.on('connection', (socket) => {
 
     // Broadcast cursor position to other users
     socket.to(room.id).emit('cursor-move', {
-      userId: socket.id,
+      userId: user.id,
       userName: user.name,
       userColor: user.color,
       x: data.x,
@@ -187,36 +738,51 @@ io.on('connection', (socket) => {
   });
 
   /**
-   * Handle clear canvas
+   * Handle a chat message (viewers and locked-out editors can chat too)
+   */
+  handle('chat-message', (data) => {
+    const room = roomManager.getRoomBySocketId(socket.id);
+    if (!room) return;
+
+    const user = roomManager.getUser(socket.id);
+    const message = roomManager.addMessage(room, user, data.text.trim());
+
+    // Broadcast to all users including sender
+    io.to(room.id).emit('chat-message', message);
+  });
+
+  /**
+   * Handle clear canvas (recorded as an undoable operation, owners only)
    */
-  socket.on('clear-canvas', () => {
+  handle('clear-canvas', () => {
     const room = roomManager.getRoomBySocketId(socket.id);
     if (!room) return;
 
-    // Clear room state
-    room.state.clear();
+    const user = roomManager.getUser(socket.id);
+    if (!isOwner('clear-canvas', room, user)) return;
 
-    // Broadcast to all users
-    io.to(room.id).emit('clear-canvas', {
-      clearedBy: socket.id
+    // Locked layers (e.g. a template background) survive a clear
+    const operation = room.state.addOperation({
+      type: 'clear',
+      data: { layerIds: room.state.getUnlockedLayerIds() },
+      userId: user.id,
+      userName: user.name,
+      userColor: user.color
     });
+
+    // Broadcast to all users including sender
+    io.to(room.id).emit('clear-canvas', withSequence(room, {
+      operation,
+      clearedBy: user.id
+    }));
   });
 
   /**
    * Handle disconnection
    */
   socket.on('disconnect', () => {
-    const room = roomManager.removeUser(socket.id);
-    
-    if (room) {
-      // Notify other users
-      socket.to(room.id).emit('user-disconnected', {
-        userId: socket.id,
-        users: roomManager.getRoomUsers(room.id)
-      });
-      
-      console.log(`[Disconnect] User ${socket.id} left room ${room.id}`);
-    }
+    leaveRoom();
+    addressBuckets.release(address);
   });
 
   /**
@@ -239,10 +805,16 @@ server.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing server...');
-  server.close(() => {
+function shutdown(signal) {
+  console.log(`${signal} received, closing server...`);
+  // Write out journal entries that are still waiting for their batch
+  roomManager.storage.flush();
+  // Disconnects every socket too, which server.close alone would wait for
+  io.close(() => {
     console.log('Server closed');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,235 @@
+/**
+ * Room Storage
+ * Persists each room's drawing history so boards survive restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// How long appended entries are collected before they are written together
+const FLUSH_DELAY = 100;
+
+/**
+ * Copy a journal entry, so later changes to the live state don't reach it
+ * @param {Object} entry - Journal entry
+ * @returns {Object} Deep copy
+ */
+function copyEntry(entry) {
+  return JSON.parse(JSON.stringify(entry));
+}
+
+/**
+ * In-memory storage (nothing survives a restart)
+ * Entries are copied in and out, like they are serialized by FileStorage, because
+ * DrawingState keeps changing the operations it journaled (e.g. undone flags)
+ */
+class MemoryStorage {
+  constructor() {
+    // Map of roomId -> array of journal entries
+    this.logs = new Map();
+  }
+
+  /**
+   * Load all journal entries for a room
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Journal entries in the order they were written
+   */
+  load(roomId) {
+    return (this.logs.get(roomId) || []).map(copyEntry);
+  }
+
+  /**
+   * Check whether a room has stored history
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} True if the room has been stored
+   */
+  has(roomId) {
+    return this.logs.has(roomId);
+  }
+
+  /**
+   * Append a journal entry for a room
+   * @param {string} roomId - Room identifier
+   * @param {Object} entry - Journal entry
+   */
+  append(roomId, entry) {
+    if (!this.logs.has(roomId)) {
+      this.logs.set(roomId, []);
+    }
+    this.logs.get(roomId).push(copyEntry(entry));
+  }
+
+  /**
+   * Replace a room's journal with a new list of entries
+   * @param {string} roomId - Room identifier
+   * @param {Array} entries - Journal entries
+   */
+  rewrite(roomId, entries) {
+    this.logs.set(roomId, entries.map(copyEntry));
+  }
+
+  /**
+   * Delete all stored data for a room
+   * @param {string} roomId - Room identifier
+   */
+  remove(roomId) {
+    this.logs.delete(roomId);
+  }
+
+  /**
+   * Write out any buffered entries (nothing is buffered in memory)
+   */
+  flush() {}
+}
+
+/**
+ * File-backed storage
+ * Keeps one append-only JSON lines file per room
+ * Appended entries are buffered briefly and written in one batch, so a busy
+ * board doesn't block the server with a file write per stroke
+ */
+class FileStorage {
+  /**
+   * @param {string} directory - Directory holding the room files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    // Map of roomId -> JSON lines waiting to be appended
+    this.pending = new Map();
+    // Timer for the next batched write
+    this.flushTimeout = null;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Get the journal file path for a room
+   * @param {string} roomId - Room identifier
+   * @returns {string} Absolute file path
+   */
+  getFilePath(roomId) {
+    // Encode so room names can never escape the storage directory
+    return path.join(this.directory, `${encodeURIComponent(roomId)}.jsonl`);
+  }
+
+  /**
+   * Load all journal entries for a room
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Journal entries in the order they were written
+   */
+  load(roomId) {
+    this.flush(roomId);
+
+    const filePath = this.getFilePath(roomId);
+    if (!fs.existsSync(filePath)) return [];
+
+    const entries = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line behind
+        console.error(`[Storage] Skipping corrupt line ${index + 1} in ${filePath}`);
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Check whether a room has stored history
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} True if the room has been stored
+   */
+  has(roomId) {
+    return this.pending.has(roomId) || fs.existsSync(this.getFilePath(roomId));
+  }
+
+  /**
+   * Append a journal entry for a room
+   * The entry is written with the next batch (see flush)
+   * @param {string} roomId - Room identifier
+   * @param {Object} entry - Journal entry
+   */
+  append(roomId, entry) {
+    if (!this.pending.has(roomId)) {
+      this.pending.set(roomId, []);
+    }
+    this.pending.get(roomId).push(JSON.stringify(entry) + '\n');
+
+    if (!this.flushTimeout) {
+      this.flushTimeout = setTimeout(() => this.flush(), FLUSH_DELAY);
+    }
+  }
+
+  /**
+   * Write buffered entries to their journal files
+   * @param {string} roomId - Only flush this room (all rooms if omitted)
+   */
+  flush(roomId) {
+    const roomIds = roomId !== undefined ? [roomId] : [...this.pending.keys()];
+
+    roomIds.forEach(id => {
+      const lines = this.pending.get(id);
+      if (!lines) return;
+      this.pending.delete(id);
+
+      try {
+        fs.appendFileSync(this.getFilePath(id), lines.join(''));
+      } catch (error) {
+        console.error(`[Storage] Failed to write room ${id}:`, error);
+      }
+    });
+
+    if (this.pending.size === 0 && this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+  }
+
+  /**
+   * Replace a room's journal with a new list of entries
+   * @param {string} roomId - Room identifier
+   * @param {Array} entries - Journal entries
+   */
+  rewrite(roomId, entries) {
+    // The new entries already cover anything still buffered
+    this.pending.delete(roomId);
+
+    const filePath = this.getFilePath(roomId);
+    const tempPath = `${filePath}.tmp`;
+    const content = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+
+    try {
+      // Write to a temp file first so a crash never leaves a half-written journal
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`[Storage] Failed to rewrite room ${roomId}:`, error);
+    }
+  }
+
+  /**
+   * Delete all stored data for a room
+   * @param {string} roomId - Room identifier
+   */
+  remove(roomId) {
+    this.pending.delete(roomId);
+
+    try {
+      const filePath = this.getFilePath(roomId);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      console.error(`[Storage] Failed to delete room ${roomId}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  MemoryStorage,
+  FileStorage
+};
@@ -0,0 +1,402 @@
+/**
+ * Event Validation
+ * Checks the shape of every payload clients send before the server acts on it
+ */
+
+// Operation types clients can store through stroke-complete
+const DRAWABLE_TYPES = ['stroke', 'shape', 'text', 'fill', 'text-edit', 'transform', 'delete'];
+// Operation types that can be replayed from an imported board (exports have edits applied)
+const IMPORTABLE_TYPES = ['stroke', 'shape', 'text', 'image', 'fill'];
+
+// Room roles, from most to least allowed
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const STROKE_TOOLS = ['brush', 'eraser'];
+const SHAPE_KINDS = ['line', 'rectangle', 'ellipse', 'arrow'];
+// Line widths the brush size slider allows
+const MIN_LINE_WIDTH = 1;
+const MAX_LINE_WIDTH = 50;
+// Font sizes (edits of scaled texts may go past the font size input's range)
+const MIN_FONT_SIZE = 1;
+const MAX_FONT_SIZE = 1000;
+// The board has no edges, but coordinates this far out are never drawn by hand
+const MAX_COORDINATE = 1e6;
+// Largest scale a single transform may apply
+const MAX_SCALE = 1000;
+const MAX_STROKE_POINTS = 10000;
+// Points in one batched draw-path message (sent every 50ms)
+const MAX_PATH_BATCH = 500;
+// Fill masks are sampled on a grid of at most 4096 cells per side
+const MAX_FILL_CELLS = 4096;
+const MAX_FILL_RUNS = 3 * 100000;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_TARGETS = 1000;
+const MAX_IMPORT_OPERATIONS = 5000;
+const MAX_IMAGE_SRC_LENGTH = 5e6;
+const MAX_ID_LENGTH = 100;
+const MAX_ROOM_ID_LENGTH = 64;
+// Room joined when none is named
+const DEFAULT_ROOM_ID = 'default';
+const MAX_NAME_LENGTH = 50;
+const MAX_CHAT_LENGTH = 500;
+// User tokens are random strings generated by the browser
+const MIN_TOKEN_LENGTH = 16;
+const MAX_PASSWORD_LENGTH = 100;
+const MAX_INVITE_HOURS = 30 * 24;
+
+// Data fields stored for each operation type (anything else is dropped)
+const OPERATION_FIELDS = {
+  stroke: ['type', 'layerId', 'tool', 'color', 'lineWidth', 'points'],
+  shape: ['type', 'layerId', 'kind', 'start', 'end', 'color', 'fillColor', 'lineWidth'],
+  text: ['type', 'layerId', 'x', 'y', 'text', 'color', 'fontSize'],
+  image: ['type', 'layerId', 'src', 'x', 'y', 'width', 'height'],
+  fill: ['type', 'layerId', 'x', 'y', 'width', 'height', 'cols', 'rows', 'runs', 'color', 'tolerance'],
+  'text-edit': ['type', 'targetId', 'text', 'color', 'fontSize'],
+  transform: ['type', 'targetIds', 'scaleX', 'scaleY', 'translateX', 'translateY'],
+  delete: ['type', 'targetIds']
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isCoordinate(value) {
+  return isNumberInRange(value, -MAX_COORDINATE, MAX_COORDINATE);
+}
+
+function isPoint(point) {
+  return isObject(point) &&
+    isCoordinate(point.x) &&
+    isCoordinate(point.y) &&
+    (point.pressure === undefined || isNumberInRange(point.pressure, 0, 1));
+}
+
+function isColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function isString(value, maxLength) {
+  return typeof value === 'string' && value.length <= maxLength;
+}
+
+function isId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+function isIdList(value) {
+  return Array.isArray(value) && value.length > 0 && value.length <= MAX_TARGETS && value.every(isId);
+}
+
+function isOptional(value, check) {
+  return value === undefined || check(value);
+}
+
+/**
+ * Check the data of an operation a client wants stored
+ * @param {string} type - Operation type
+ * @param {Object} data - Operation data
+ * @returns {string|null} Why the data is invalid, or null if it is valid
+ */
+function validateOperationData(type, data) {
+  if (!isObject(data)) return 'Operation data must be an object';
+  if (!isOptional(data.layerId, isId)) return 'Invalid layer id';
+
+  switch (type) {
+    case 'stroke':
+      if (!STROKE_TOOLS.includes(data.tool)) return 'Unknown stroke tool';
+      if (!isColor(data.color)) return 'Invalid color';
+      if (!isNumberInRange(data.lineWidth, MIN_LINE_WIDTH, MAX_LINE_WIDTH)) return 'Line width out of range';
+      if (!Array.isArray(data.points) || data.points.length === 0 || data.points.length > MAX_STROKE_POINTS) {
+        return 'Stroke must have 1 to 10000 points';
+      }
+      if (!data.points.every(isPoint)) return 'Invalid stroke point';
+      return null;
+
+    case 'shape':
+      if (!SHAPE_KINDS.includes(data.kind)) return 'Unknown shape';
+      if (!isPoint(data.start) || !isPoint(data.end)) return 'Invalid shape position';
+      if (!isColor(data.color)) return 'Invalid color';
+      if (!isOptional(data.fillColor, value => value === null || isColor(value))) return 'Invalid fill color';
+      if (!isNumberInRange(data.lineWidth, MIN_LINE_WIDTH, MAX_LINE_WIDTH)) return 'Line width out of range';
+      return null;
+
+    case 'text':
+      if (!isCoordinate(data.x) || !isCoordinate(data.y)) return 'Invalid text position';
+      if (!isString(data.text, MAX_TEXT_LENGTH) || data.text.length === 0) return 'Text must be 1 to 5000 characters';
+      if (!isColor(data.color)) return 'Invalid color';
+      if (!isNumberInRange(data.fontSize, MIN_FONT_SIZE, MAX_FONT_SIZE)) return 'Font size out of range';
+      return null;
+
+    case 'image':
+      if (!isString(data.src, MAX_IMAGE_SRC_LENGTH) || !/^data:image\/(png|jpeg|gif|webp);base64,/.test(data.src)) {
+        return 'Images must be PNG, JPEG, GIF or WebP data URLs';
+      }
+      if (!isCoordinate(data.x) || !isCoordinate(data.y)) return 'Invalid image position';
+      if (!isCoordinate(data.width) || !isCoordinate(data.height)) {
+        return 'Invalid image size';
+      }
+      return null;
+
+    case 'fill':
+      return validateFill(data);
+
+    case 'text-edit':
+      if (!isId(data.targetId)) return 'Invalid target id';
+      if (!isOptional(data.text, value => isString(value, MAX_TEXT_LENGTH))) return 'Text must be at most 5000 characters';
+      if (!isOptional(data.color, isColor)) return 'Invalid color';
+      if (!isOptional(data.fontSize, value => isNumberInRange(value, MIN_FONT_SIZE, MAX_FONT_SIZE))) {
+        return 'Font size out of range';
+      }
+      return null;
+
+    case 'transform':
+      if (!isIdList(data.targetIds)) return 'Invalid target ids';
+      if (!['scaleX', 'scaleY'].every(key => isOptional(data[key], value => isNumberInRange(Math.abs(value), 1 / MAX_SCALE, MAX_SCALE)))) {
+        return 'Scale out of range';
+      }
+      if (!isOptional(data.translateX, isCoordinate) || !isOptional(data.translateY, isCoordinate)) {
+        return 'Translation out of range';
+      }
+      return null;
+
+    case 'delete':
+      return isIdList(data.targetIds) ? null : 'Invalid target ids';
+
+    default:
+      return 'Unknown operation type';
+  }
+}
+
+/**
+ * Check a paint bucket fill mask (runs of row, start, length within the grid)
+ */
+function validateFill(data) {
+  if (!isCoordinate(data.x) || !isCoordinate(data.y)) return 'Invalid fill position';
+  if (!isCoordinate(data.width) || !isCoordinate(data.height)) {
+    return 'Invalid fill size';
+  }
+  if (!Number.isInteger(data.cols) || !Number.isInteger(data.rows) ||
+    !isNumberInRange(data.cols, 1, MAX_FILL_CELLS) || !isNumberInRange(data.rows, 1, MAX_FILL_CELLS)) {
+    return 'Invalid fill grid';
+  }
+  if (!isColor(data.color)) return 'Invalid color';
+  if (!isOptional(data.tolerance, value => isNumberInRange(value, 0, 255))) return 'Invalid fill tolerance';
+
+  const runs = data.runs;
+  if (!Array.isArray(runs) || runs.length % 3 !== 0 || runs.length > MAX_FILL_RUNS) return 'Invalid fill mask';
+  for (let i = 0; i < runs.length; i += 3) {
+    const [row, start, length] = [runs[i], runs[i + 1], runs[i + 2]];
+    if (!Number.isInteger(row) || !Number.isInteger(start) || !Number.isInteger(length) ||
+      row < 0 || row >= data.rows || start < 0 || length < 1 || start + length > data.cols) {
+      return 'Invalid fill mask';
+    }
+  }
+  return null;
+}
+
+/**
+ * Copy only the fields an operation type stores (points keep x, y and pressure)
+ * Expects data that passed validateOperationData
+ * @param {string} type - Operation type
+ * @param {Object} data - Operation data
+ * @returns {Object} Data to store
+ */
+function pickOperationData(type, data) {
+  const picked = {};
+  (OPERATION_FIELDS[type] || []).forEach(key => {
+    if (data[key] !== undefined) picked[key] = data[key];
+  });
+
+  const pickPoint = ({ x, y, pressure }) => (pressure === undefined ? { x, y } : { x, y, pressure });
+  if (picked.points) picked.points = picked.points.map(pickPoint);
+  if (picked.start) picked.start = pickPoint(picked.start);
+  if (picked.end) picked.end = pickPoint(picked.end);
+  return picked;
+}
+
+/**
+ * Check the payload of a draw-path message (a batch of live stroke points, or
+ * the shape being dragged out)
+ */
+function validateDrawPath(data) {
+  if (data.shape !== undefined) {
+    return data.shape === null ? null : validateOperationData('shape', data.shape);
+  }
+  if (!Array.isArray(data.points) || data.points.length === 0 || data.points.length > MAX_PATH_BATCH) {
+    return 'Invalid path batch';
+  }
+  const isPathStyle = style => STROKE_TOOLS.includes(style.tool) &&
+    isColor(style.color) &&
+    isNumberInRange(style.lineWidth, MIN_LINE_WIDTH, MAX_LINE_WIDTH) &&
+    isOptional(style.layerId, isId);
+  if (!isPathStyle(data)) return 'Invalid path style';
+  return data.points.every(p => isObject(p) && isPoint(p.point) && isPathStyle(p)) ? null : 'Invalid path point';
+}
+
+/**
+ * Copy only the fields of a draw-path message that other clients use
+ * Expects data that passed validateEvent
+ * @param {Object} data - draw-path payload
+ * @returns {Object} Payload to broadcast
+ */
+function pickDrawPath(data) {
+  if (data.shape !== undefined) {
+    return { shape: data.shape === null ? null : pickOperationData('shape', data.shape) };
+  }
+
+  const pickStyle = ({ tool, color, lineWidth, layerId }) => ({ tool, color, lineWidth, layerId });
+  return {
+    ...pickStyle(data),
+    points: data.points.map(p => ({ point: pickOperationData('stroke', { points: [p.point] }).points[0], ...pickStyle(p) }))
+  };
+}
+
+/**
+ * Check the user and password sent to join or create a room
+ */
+function validateJoin(data) {
+  if (!isOptional(data.user, isObject)) return 'Invalid user';
+  if (data.user && !isOptional(data.user.name, value => isString(value, MAX_NAME_LENGTH))) {
+    return 'Name must be at most 50 characters';
+  }
+  if (data.user && !isOptional(data.user.token, value => isString(value, MAX_ID_LENGTH) && value.length >= MIN_TOKEN_LENGTH)) {
+    return 'Invalid user token';
+  }
+  // Colors are assigned by the server, but one sent along must still be a plain hex color
+  if (data.user && !isOptional(data.user.color, isColor)) return 'Invalid user color';
+  if (!isOptional(data.password, value => isString(value, MAX_PASSWORD_LENGTH))) return 'Password must be at most 100 characters';
+  return null;
+}
+
+/**
+ * Get the room id to use for one a client sent, so ' team ' and 'team' are
+ * the same room everywhere (socket events and the REST API)
+ * Expects an id that passed validation
+ * @param {string} [roomId] - Room id as sent
+ * @returns {string} Trimmed room id, or the default room if none was given
+ */
+function normalizeRoomId(roomId) {
+  return (roomId && roomId.trim()) || DEFAULT_ROOM_ID;
+}
+
+/**
+ * Check the body of a POST /api/rooms request
+ * @param {*} data - Room name and settings
+ * @returns {string|null} Why the settings are invalid, or null if they are valid
+ */
+function validateRoomSettings(data) {
+  if (!isObject(data)) return 'Body must be a JSON object';
+  if (!isString(data.roomId, MAX_ROOM_ID_LENGTH) || !data.roomId.trim()) return 'Room id must be 1 to 64 characters';
+  if (!isOptional(data.private, value => typeof value === 'boolean')) return 'Invalid private flag';
+  if (!isOptional(data.readOnly, value => typeof value === 'boolean')) return 'Invalid read-only flag';
+  if (!isOptional(data.password, value => isString(value, MAX_PASSWORD_LENGTH))) return 'Password must be at most 100 characters';
+  return null;
+}
+
+/**
+ * Check the payload of a socket event
+ * @param {string} event - Event name
+ * @param {*} data - Payload sent with it
+ * @returns {string|null} Why the payload is invalid, or null if it is valid
+ */
+function validateEvent(event, data) {
+  // Events without a payload ignore whatever was sent
+  if (['redo', 'clear-canvas', 'history-checksum', 'request-state'].includes(event)) {
+    return null;
+  }
+  if (event === 'undo' && data === undefined) {
+    return null;
+  }
+  if (!isObject(data)) return 'Payload must be an object';
+
+  switch (event) {
+    case 'join-room':
+      if (!isOptional(data.roomId, value => isString(value, MAX_ROOM_ID_LENGTH))) return 'Room id must be at most 64 characters';
+      if (!isOptional(data.lastSequence, value => Number.isInteger(value) && value >= 0)) return 'Invalid sequence number';
+      if (!isOptional(data.invite, isId)) return 'Invalid invite';
+      return validateJoin(data);
+
+    case 'create-room':
+      if (!isString(data.roomId, MAX_ROOM_ID_LENGTH) || !data.roomId.trim()) return 'Room id must be 1 to 64 characters';
+      return validateJoin(data);
+
+    case 'create-invite':
+      return isOptional(data.expiresInHours, value => isNumberInRange(value, 1, MAX_INVITE_HOURS))
+        ? null
+        : 'Invites can last 1 hour to 30 days';
+
+    case 'set-role':
+      if (!isId(data.userId)) return 'Invalid user id';
+      return ROLES.includes(data.role) ? null : 'Unknown role';
+
+    case 'kick-user':
+      return isId(data.userId) ? null : 'Invalid user id';
+
+    case 'set-read-only':
+      return typeof data.readOnly === 'boolean' ? null : 'Invalid read-only flag';
+
+    case 'draw-path':
+      return validateDrawPath(data);
+
+    case 'stroke-complete':
+      if (!isOptional(data.clientId, isId)) return 'Invalid client id';
+      if (!isOptional(data.type, value => DRAWABLE_TYPES.includes(value))) return 'Unknown operation type';
+      return validateOperationData(data.type || 'stroke', data);
+
+    case 'import-board':
+      if (!Array.isArray(data.operations) || data.operations.length > MAX_IMPORT_OPERATIONS) {
+        return 'Boards can have at most 5000 operations';
+      }
+      return null;
+
+    case 'import-image':
+      if (!isOptional(data.clientId, isId)) return 'Invalid client id';
+      return validateOperationData('image', data);
+
+    case 'undo':
+      return isOptional(data.global, value => typeof value === 'boolean') ? null : 'Invalid undo mode';
+
+    case 'layer-create':
+      return isOptional(data.name, value => isString(value, MAX_NAME_LENGTH)) ? null : 'Layer name must be at most 50 characters';
+
+    case 'layer-update':
+      if (!isId(data.id)) return 'Invalid layer id';
+      if (!isObject(data.changes)) return 'Invalid layer changes';
+      if (!isOptional(data.changes.name, value => isString(value, MAX_NAME_LENGTH))) return 'Layer name must be at most 50 characters';
+      if (!isOptional(data.changes.visible, value => typeof value === 'boolean') ||
+        !isOptional(data.changes.locked, value => typeof value === 'boolean')) {
+        return 'Invalid layer changes';
+      }
+      return null;
+
+    case 'layer-move':
+      return isId(data.id) && Number.isInteger(data.index) ? null : 'Invalid layer move';
+
+    case 'cursor-move':
+      return isCoordinate(data.x) && isCoordinate(data.y) ? null : 'Invalid cursor position';
+
+    case 'chat-message':
+      return isString(data.text, MAX_CHAT_LENGTH) && data.text.trim()
+        ? null
+        : 'Messages must be 1 to 500 characters';
+
+    default:
+      return 'Unknown event';
+  }
+}
+
+module.exports = {
+  DRAWABLE_TYPES,
+  IMPORTABLE_TYPES,
+  ROLES,
+  validateEvent,
+  validateRoomSettings,
+  normalizeRoomId,
+  validateOperationData,
+  pickOperationData,
+  pickDrawPath
+};
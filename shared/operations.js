@@ -0,0 +1,300 @@
+/**
+ * Operation Resolver
+ * Turns the operation history into what is actually on the board.
+ * Loaded by the client as a plain script (served under /shared) for canvas
+ * replay, and required by the server. Keep it free of browser and Node APIs
+ * so it runs in both.
+ */
+
+// Operation types that change earlier operations instead of drawing
+const EDIT_TYPES = ['text-edit', 'transform', 'delete', 'clear'];
+// Layer used by operations that don't name one
+const DEFAULT_LAYER_ID = 'layer-1';
+// Share of the line width drawn at zero pen pressure
+const MIN_PRESSURE_WIDTH = 0.2;
+
+/**
+ * Get the layer an operation is drawn on
+ * @param {Object} op - Operation
+ * @returns {string} Layer id
+ */
+function getLayerId(op) {
+  return (op.data && op.data.layerId) || DEFAULT_LAYER_ID;
+}
+
+/**
+ * Get the stroke width at a point, scaled by pen pressure when it was recorded
+ * @param {number} lineWidth - Stroke line width (the width at full pressure)
+ * @param {Object} point - Stroke point, with an optional pressure from 0 to 1
+ * @returns {number} Width at that point
+ */
+function getPressureWidth(lineWidth, point) {
+  if (typeof point.pressure !== 'number') return lineWidth;
+  return lineWidth * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * point.pressure);
+}
+
+/**
+ * Check whether stroke points carry pen pressure
+ * @param {Array} points - Stroke points
+ * @returns {boolean} True if any point has a pressure
+ */
+function hasPressure(points) {
+  return points.some(point => typeof point.pressure === 'number');
+}
+
+/**
+ * Get the midpoint of two points (pressure is averaged when both have one)
+ */
+function midpoint(a, b) {
+  const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  if (typeof a.pressure === 'number' && typeof b.pressure === 'number') {
+    mid.pressure = (a.pressure + b.pressure) / 2;
+  }
+  return mid;
+}
+
+/**
+ * Get one piece of a smoothed stroke
+ * The curve runs through the midpoints between captured points, using the
+ * points themselves as quadratic control points. Piece i only depends on
+ * points 0..i, so live drawing can add pieces as points arrive.
+ * @param {Array} points - Stroke points
+ * @param {number} i - Index of the newest point (1..length - 1)
+ * @returns {Object} Piece with start, end, optional control and the point its width comes from
+ */
+function getStrokePiece(points, i) {
+  const prev = points[i - 1];
+  return {
+    start: i === 1 ? prev : midpoint(points[i - 2], prev),
+    control: i === 1 ? null : prev,
+    end: midpoint(prev, points[i]),
+    widthPoint: prev
+  };
+}
+
+/**
+ * Get the straight piece that finishes a smoothed stroke at its last point
+ * @param {Array} points - Stroke points (at least two)
+ * @returns {Object} Piece like getStrokePiece
+ */
+function getStrokeTail(points) {
+  const last = points[points.length - 1];
+  return {
+    start: midpoint(points[points.length - 2], last),
+    control: null,
+    end: last,
+    widthPoint: last
+  };
+}
+
+/**
+ * Split a stroke into smoothed pieces, in drawing order
+ * @param {Array} points - Stroke points
+ * @returns {Array} Pieces (empty for strokes with fewer than two points)
+ */
+function getStrokePieces(points) {
+  if (points.length < 2) return [];
+  const pieces = [];
+  for (let i = 1; i < points.length; i++) {
+    pieces.push(getStrokePiece(points, i));
+  }
+  pieces.push(getStrokeTail(points));
+  return pieces;
+}
+
+/**
+ * Drop points that don't change a stroke's shape (Ramer-Douglas-Peucker)
+ * @param {Array} points - Stroke points
+ * @param {number} tolerance - Largest distance a dropped point may be from the result
+ * @returns {Array} The points that are kept, in order (first and last always)
+ */
+function simplifyPoints(points, tolerance) {
+  if (points.length < 3 || !(tolerance > 0)) return points;
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Ranges still to check, as [first, last] index pairs
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToLine(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[maxIndex] = true;
+      ranges.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * Distance from a point to the segment between two others
+ */
+function distanceToLine(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Apply a scale + translate transform to an operation's data
+ * Points map as p' = p * scale + translate
+ * @param {Object} op - Drawable operation
+ * @param {Object} transform - Transform with scaleX, scaleY, translateX, translateY
+ * @returns {Object} New data object
+ */
+function transformData(op, transform) {
+  const { scaleX = 1, scaleY = 1, translateX = 0, translateY = 0 } = transform;
+  const map = (point) => ({
+    ...point,
+    x: point.x * scaleX + translateX,
+    y: point.y * scaleY + translateY
+  });
+  const data = op.data;
+
+  switch (op.type) {
+    case 'stroke':
+      return { ...data, points: data.points.map(map) };
+
+    case 'shape':
+      return { ...data, start: map(data.start), end: map(data.end) };
+
+    case 'text':
+      return { ...map(data), fontSize: data.fontSize * Math.abs(scaleY) };
+
+    case 'image':
+    case 'fill':
+      return {
+        ...map(data),
+        width: data.width * scaleX,
+        height: data.height * scaleY
+      };
+
+    default:
+      return data;
+  }
+}
+
+/**
+ * Resolve active operations into the drawable operations on the board
+ * - A clear hides everything before it on the layers it cleared
+ * - Edits, transforms and deletes are applied to the operations they target,
+ *   in history order, while targets keep their original drawing order
+ * @param {Array} operations - Active (not undone) operations in drawing order
+ * @returns {Array} Drawable operations in drawing order
+ */
+function resolveOperations(operations) {
+  const drawables = [];
+  // Map of operation id -> index in drawables
+  const indexById = new Map();
+
+  const update = (targetId, change) => {
+    const index = indexById.get(targetId);
+    if (index === undefined || !drawables[index]) return;
+    drawables[index] = change(drawables[index]);
+  };
+
+  operations.forEach(op => {
+    if (!op.data) return;
+
+    switch (op.type) {
+      case 'clear': {
+        // Clears without a layer list (older history) wipe every layer
+        const layerIds = op.data.layerIds ? new Set(op.data.layerIds) : null;
+        drawables.forEach((target, index) => {
+          if (target && (!layerIds || layerIds.has(getLayerId(target)))) {
+            drawables[index] = null;
+          }
+        });
+        break;
+      }
+
+      case 'text-edit': {
+        const { targetId, ...changes } = op.data;
+        update(targetId, target => ({ ...target, data: { ...target.data, ...changes } }));
+        break;
+      }
+
+      case 'transform':
+        (op.data.targetIds || []).forEach(id => {
+          update(id, target => ({ ...target, data: transformData(target, op.data) }));
+        });
+        break;
+
+      case 'delete':
+        (op.data.targetIds || []).forEach(id => update(id, () => null));
+        break;
+
+      default:
+        if (op.id) {
+          indexById.set(op.id, drawables.length);
+        }
+        drawables.push(op);
+    }
+  });
+
+  return drawables.filter(Boolean);
+}
+
+/**
+ * Checksum of an operation history and the layer list, used to spot clients
+ * whose copy has drifted from the server's (32-bit FNV-1a)
+ * @param {Array} operations - Active (not undone) operations in drawing order
+ * @param {Array} layers - Layers, bottom to top
+ * @returns {string} Checksum as hex
+ */
+function getHistoryChecksum(operations, layers) {
+  const text = operations.map(op => op.id).join(',') + '|' +
+    layers.map(l => `${l.id}:${l.name}:${l.visible ? 1 : 0}${l.locked ? 1 : 0}`).join(',');
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Check whether an operation changes earlier operations
+ * (so the board has to be redrawn rather than drawn on top of)
+ * @param {Object} operation - Operation
+ * @returns {boolean} True for edit operations
+ */
+function isEditOperation(operation) {
+  return EDIT_TYPES.includes(operation.type);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_LAYER_ID,
+    getLayerId,
+    getPressureWidth,
+    hasPressure,
+    getStrokePiece,
+    getStrokeTail,
+    getStrokePieces,
+    simplifyPoints,
+    resolveOperations,
+    isEditOperation,
+    transformData,
+    getHistoryChecksum
+  };
+}
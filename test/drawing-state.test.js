@@ -0,0 +1,240 @@
+/**
+ * DrawingState tests: history, undo/redo, the journal and restoring from it
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DrawingState = require('../server/drawing-state');
+const { resolveOperations } = require('../shared/operations');
+
+/**
+ * Build a rectangle operation by a user
+ * @param {string} userId - Author
+ * @param {number} x - Left edge, to tell operations apart
+ * @returns {Object} Operation as the server receives it
+ */
+function rect(userId, x = 0) {
+  return {
+    type: 'shape',
+    userId,
+    data: { kind: 'rectangle', start: { x, y: 0 }, end: { x: x + 10, y: 10 }, color: '#000000', lineWidth: 2 }
+  };
+}
+
+/**
+ * Get the ids of the operations on the board
+ * @param {DrawingState} state - Drawing state
+ * @returns {Array} Operation ids in drawing order
+ */
+function activeIds(state) {
+  return state.getActiveOperations().map(op => op.id);
+}
+
+test('undo only takes back the requesting user\'s latest operation', () => {
+  const state = new DrawingState();
+  const a1 = state.addOperation(rect('alice', 0));
+  const b1 = state.addOperation(rect('bob', 20));
+  const a2 = state.addOperation(rect('alice', 40));
+
+  assert.equal(state.undo('bob').id, b1.id);
+  assert.deepEqual(activeIds(state), [a1.id, a2.id]);
+
+  assert.equal(state.undo('alice').id, a2.id);
+  assert.equal(state.undo('alice').id, a1.id);
+  assert.equal(state.undo('alice'), null);
+  assert.deepEqual(activeIds(state), []);
+});
+
+test('redo restores a user\'s undone operations in reverse order', () => {
+  const state = new DrawingState();
+  const a1 = state.addOperation(rect('alice', 0));
+  const a2 = state.addOperation(rect('alice', 20));
+  const b1 = state.addOperation(rect('bob', 40));
+
+  state.undo('alice');
+  state.undo('alice');
+  assert.equal(state.redo('bob'), null);
+
+  assert.equal(state.redo('alice').id, a1.id);
+  assert.equal(state.redo('alice').id, a2.id);
+  assert.equal(state.redo('alice'), null);
+  // Redone operations keep their place in the drawing order
+  assert.deepEqual(activeIds(state), [a1.id, a2.id, b1.id]);
+});
+
+test('a new operation drops only its author\'s redo stack', () => {
+  const state = new DrawingState();
+  const a1 = state.addOperation(rect('alice', 0));
+  const b1 = state.addOperation(rect('bob', 20));
+
+  state.undo('alice');
+  state.undo('bob');
+  const a2 = state.addOperation(rect('alice', 40));
+
+  assert.equal(state.redo('alice'), null);
+  assert.equal(state.getOperation(a1.id), undefined);
+  assert.equal(state.redo('bob').id, b1.id);
+  assert.deepEqual(activeIds(state), [b1.id, a2.id]);
+});
+
+test('global undo takes back the latest operation by anyone', () => {
+  const state = new DrawingState();
+  state.addOperation(rect('alice', 0));
+  const b1 = state.addOperation(rect('bob', 20));
+
+  assert.equal(state.undo('alice', { global: true }).id, b1.id);
+  // The undoing user can redo it
+  assert.equal(state.redo('alice').id, b1.id);
+});
+
+test('a clear is undone like any other operation', () => {
+  const state = new DrawingState();
+  const a1 = state.addOperation(rect('alice', 0));
+  state.addOperation({ type: 'clear', userId: 'bob', data: { layerIds: ['layer-1'] } });
+  assert.deepEqual(resolveOperations(state.getActiveOperations()), []);
+
+  state.undo('bob');
+  assert.deepEqual(resolveOperations(state.getActiveOperations()).map(op => op.id), [a1.id]);
+});
+
+test('undoing a text edit restores the text it changed', () => {
+  const state = new DrawingState();
+  const label = state.addOperation({
+    type: 'text',
+    userId: 'alice',
+    data: { x: 0, y: 0, text: 'Draft', fontSize: 24, color: '#000000' }
+  });
+  state.addOperation({ type: 'text-edit', userId: 'bob', data: { targetId: label.id, text: 'Final' } });
+  assert.equal(resolveOperations(state.getActiveOperations())[0].data.text, 'Final');
+
+  state.undo('bob');
+  assert.equal(resolveOperations(state.getActiveOperations())[0].data.text, 'Draft');
+});
+
+test('changes that touch a locked layer are recognised', () => {
+  const state = new DrawingState();
+  const sketch = state.addOperation(rect('alice', 0));
+  const background = rect('alice', 20);
+  background.data.layerId = 'background';
+  const template = state.addOperation(background);
+  state.updateLayer('background', { locked: true });
+
+  assert.equal(state.touchesLockedLayer({ layerId: 'background' }), true);
+  assert.equal(state.touchesLockedLayer({ layerId: 'layer-1' }), false);
+  // Unknown layers fall back to the default one
+  assert.equal(state.touchesLockedLayer({ layerId: 'missing' }), false);
+  assert.equal(state.touchesLockedLayer({ targetIds: [sketch.id, template.id] }), true);
+  assert.equal(state.touchesLockedLayer({ targetId: sketch.id }), false);
+  assert.deepEqual(state.getUnlockedLayerIds(), ['layer-1']);
+});
+
+test('operations leaving the undo window move into the base', () => {
+  const state = new DrawingState();
+  state.maxHistorySize = 10;
+  state.compactionSize = 4;
+
+  const first = state.addOperation(rect('alice', 0));
+  for (let i = 1; i <= 10; i++) {
+    state.addOperation(rect('alice', i * 20));
+  }
+
+  assert.equal(state.operations.length, 6);
+  assert.equal(state.baseOperations.length, 5);
+  assert.equal(state.baseOperations[0].id, first.id);
+  assert.equal(state.getActiveOperations().length, 11);
+});
+
+test('a snapshot restores the same state as the journal it replaces', () => {
+  const state = new DrawingState();
+  state.maxHistorySize = 4;
+  state.compactionSize = 2;
+  for (let i = 0; i < 6; i++) {
+    state.addOperation(rect(i % 2 ? 'bob' : 'alice', i * 20));
+  }
+  state.undo('alice');
+
+  const restored = new DrawingState();
+  restored.load([JSON.parse(JSON.stringify(state.toSnapshot()))]);
+
+  assert.deepEqual(restored.getState(), state.getState());
+  assert.deepEqual(restored.getChecksum(), state.getChecksum());
+  assert.ok(restored.redo('alice'));
+});
+
+test('every board change is journaled with an increasing sequence', () => {
+  const entries = [];
+  const state = new DrawingState({ onChange: entry => entries.push(entry) });
+
+  state.addOperation(rect('alice'));
+  state.undo('alice');
+  state.createLayer('Sketch');
+
+  assert.deepEqual(entries.map(entry => entry.action), ['add', 'undo', 'layers']);
+  assert.deepEqual(entries.map(entry => entry.seq), [1, 2, 3]);
+  assert.equal(state.sequence, 3);
+});
+
+test('getChangesSince returns null once the changes are no longer kept', () => {
+  const state = new DrawingState();
+  state.maxRecentChanges = 3;
+  for (let i = 0; i < 5; i++) {
+    state.addOperation(rect('alice', i * 20));
+  }
+
+  assert.equal(state.getChangesSince(1), null);
+  assert.deepEqual(state.getChangesSince(2).map(entry => entry.seq), [3, 4, 5]);
+  assert.deepEqual(state.getChangesSince(5), []);
+  assert.equal(state.getChangesSince(6), null);
+});
+
+test('a delta brings a client that missed an add and its undo up to date', () => {
+  const state = new DrawingState();
+  state.addOperation(rect('alice', 0));
+  const client = new DrawingState();
+  client.load(JSON.parse(JSON.stringify(state.getChangesSince(0))));
+
+  const b1 = state.addOperation(rect('bob', 20));
+  state.undo('bob');
+  const changes = state.getChangesSince(client.sequence);
+
+  // The add is kept as it was sent, not as the undo left the operation
+  assert.equal(changes[0].operation.undone, false);
+  assert.equal(Object.isFrozen(changes[0].operation), true);
+
+  client.load(JSON.parse(JSON.stringify(changes)));
+  assert.deepEqual(client.getState(), state.getState());
+  assert.deepEqual(client.getChecksum(), state.getChecksum());
+  assert.equal(client.redo('bob').id, b1.id);
+});
+
+test('access and role changes don\'t advance the sequence', () => {
+  const state = new DrawingState();
+  state.addOperation(rect('alice'));
+  const checksum = state.getChecksum();
+
+  state.setAccess({ private: true });
+  state.setPermissions({ roles: { alice: 'owner' }, readOnly: true, banned: ['bob'] });
+
+  assert.equal(state.sequence, 1);
+  assert.deepEqual(state.getChecksum(), checksum);
+  assert.deepEqual(state.getChangesSince(0).map(entry => entry.action), ['add']);
+});
+
+test('roles and the ban list are restored from the journal and from snapshots', () => {
+  // Copied like storage does, since later changes mutate stored operations
+  const entries = [];
+  const state = new DrawingState({ onChange: entry => entries.push(JSON.parse(JSON.stringify(entry))) });
+  state.addOperation(rect('alice'));
+  state.setPermissions({ roles: { alice: 'owner', bob: 'viewer' } });
+  state.setPermissions({ banned: ['bob'] });
+
+  const replayed = new DrawingState();
+  replayed.load(entries);
+  const restored = new DrawingState();
+  restored.load([JSON.parse(JSON.stringify(state.toSnapshot()))]);
+
+  [replayed, restored].forEach(copy => {
+    assert.deepEqual(copy.roles, { alice: 'owner', bob: 'viewer' });
+    assert.deepEqual(copy.banned, ['bob']);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Board exporter tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DrawingState = require('../server/drawing-state');
+const exporter = require('../server/exporter');
+
+/**
+ * Build a stroke operation
+ * @param {Object} data - Extra data (e.g. tool or layerId)
+ * @returns {Object} Operation as the server receives it
+ */
+function stroke(data = {}) {
+  return {
+    type: 'stroke',
+    userId: 'alice',
+    data: { tool: 'brush', points: [{ x: 10, y: 10 }, { x: 50, y: 40 }, { x: 90, y: 10 }], color: '#ff0000', lineWidth: 4, ...data }
+  };
+}
+
+test('an empty board exports as a blank default-sized SVG', () => {
+  const svg = exporter.toSVG([], new DrawingState().layers);
+
+  assert.match(svg, /^<\?xml/);
+  assert.match(svg, /<svg [^>]*width="800" height="600"/);
+  assert.match(svg, /<rect x="0" y="0" width="800" height="600" fill="#FFFFFF"\/>/);
+});
+
+test('the SVG fits the drawing and groups it by layer', () => {
+  const state = new DrawingState();
+  state.addOperation(stroke());
+  state.addOperation(stroke({ layerId: 'background', color: '#00ff00' }));
+
+  const svg = exporter.toSVG(state.getActiveOperations(), state.layers);
+
+  // Bounds are the points plus half the line width, padded by 20
+  assert.match(svg, /viewBox="-12 -12 124 74"/);
+  assert.ok(svg.indexOf('<g id="background">') < svg.indexOf('<g id="layer-1">'));
+  assert.match(svg, /stroke="#00ff00"/);
+});
+
+test('hidden layers and undone operations are left out', () => {
+  const state = new DrawingState();
+  state.addOperation(stroke({ layerId: 'background', color: '#00ff00' }));
+  state.addOperation(stroke({ color: '#0000ff' }));
+  state.undo('alice');
+  state.updateLayer('background', { visible: false });
+
+  const svg = exporter.toSVG(state.getActiveOperations(), state.layers);
+
+  assert.doesNotMatch(svg, /#00ff00|#0000ff/);
+  assert.doesNotMatch(svg, /<g id=/);
+});
+
+test('eraser strokes mask what was drawn before them', () => {
+  const state = new DrawingState();
+  state.addOperation(stroke());
+  state.addOperation(stroke({ tool: 'eraser' }));
+
+  const svg = exporter.toSVG(state.getActiveOperations(), state.layers);
+
+  assert.match(svg, /<defs><mask id="eraser-1"/);
+  assert.match(svg, /<g mask="url\(#eraser-1\)">/);
+});
+
+test('text is escaped in the SVG', () => {
+  const state = new DrawingState();
+  state.addOperation({
+    type: 'text',
+    userId: 'alice',
+    data: { x: 0, y: 0, text: '<b>Tom & "Jerry"</b>', fontSize: 20, color: '#000000' }
+  });
+
+  const svg = exporter.toSVG(state.getActiveOperations(), state.layers);
+
+  assert.match(svg, /&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;\/b&gt;/);
+  assert.doesNotMatch(svg, /<b>/);
+});
+
+test('the JSON export holds the resolved board and its layers', () => {
+  const state = new DrawingState();
+  const kept = state.addOperation(stroke());
+  const deleted = state.addOperation(stroke({ color: '#0000ff' }));
+  state.addOperation({ type: 'delete', userId: 'alice', data: { targetIds: [deleted.id] } });
+
+  const exported = exporter.toJSON({ id: 'team', state });
+
+  assert.equal(exported.version, exporter.EXPORT_VERSION);
+  assert.equal(exported.roomId, 'team');
+  assert.deepEqual(exported.layers, state.layers);
+  assert.deepEqual(exported.operations.map(op => op.id), [kept.id]);
+  assert.doesNotThrow(() => JSON.stringify(exported));
+});
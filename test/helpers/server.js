@@ -0,0 +1,193 @@
+/**
+ * Test helpers: run the real server in a child process and talk to it over
+ * HTTP and socket.io, the way the browser client does
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+// How long to wait for the server to start or for an expected event
+const WAIT_TIMEOUT = 5000;
+// Sockets connect from their own loopback address (127.0.0.2 and up) unless
+// told otherwise, so they count as separate clients for per-address limits
+const FIRST_CLIENT_ADDRESS = 2;
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port number
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server with an empty data directory
+ * @returns {Promise<Object>} The server's url, a connect() helper and stop()
+ */
+async function startServer() {
+  const port = await getFreePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-server-'));
+  const child = spawn(process.execPath, [path.join(__dirname, '../../server/server.js')], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const url = `http://127.0.0.1:${port}`;
+  const sockets = [];
+  let nextAddress = FIRST_CLIENT_ADDRESS;
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timeout = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), WAIT_TIMEOUT);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server Running')) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    child.once('exit', code => {
+      clearTimeout(timeout);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url,
+
+    /**
+     * Connect a client socket
+     * @param {string} localAddress - Address to connect from (a new one if not given)
+     * @returns {Promise<Object>} Connected socket
+     */
+    async connect(localAddress = `127.0.0.${nextAddress++}`) {
+      const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false, localAddress });
+      sockets.push(socket);
+      await waitFor(socket, 'connect');
+      return socket;
+    },
+
+    /**
+     * Disconnect every socket and stop the server
+     */
+    stop() {
+      sockets.forEach(socket => socket.disconnect());
+      return new Promise(resolve => {
+        child.removeAllListeners('exit');
+        child.once('exit', () => {
+          fs.rmSync(dataDir, { recursive: true, force: true });
+          resolve();
+        });
+        child.kill('SIGTERM');
+      });
+    }
+  };
+}
+
+/**
+ * Wait for the next event of a kind on a socket
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @returns {Promise<*>} The event's payload
+ */
+function waitFor(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`No ${event} event`)), WAIT_TIMEOUT);
+    socket.once(event, (data) => {
+      clearTimeout(timeout);
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Wait for several events of a kind on a socket
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @param {number} count - How many to wait for
+ * @returns {Promise<Array>} Their payloads, in order
+ */
+function waitForEach(socket, event, count) {
+  return new Promise((resolve, reject) => {
+    const payloads = [];
+    const onEvent = (data) => {
+      payloads.push(data);
+      if (payloads.length < count) return;
+      clearTimeout(timeout);
+      socket.off(event, onEvent);
+      resolve(payloads);
+    };
+    const timeout = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Got ${payloads.length} of ${count} ${event} events`));
+    }, WAIT_TIMEOUT);
+    socket.on(event, onEvent);
+  });
+}
+
+/**
+ * Join a room the way the client does and wait for the answer, and for the
+ * board that follows a successful join
+ * @param {Object} socket - Client socket
+ * @param {Object} data - join-room payload (roomId, user, password, invite)
+ * @param {string} event - join-room, or create-room for a new private room
+ * @returns {Promise<Object>} user-joined payload with the board as state, or
+ * join-rejected payload with rejected: true
+ */
+function joinRoom(socket, data, event = 'join-room') {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`No answer to ${event}`)), WAIT_TIMEOUT);
+    let joined = null;
+    const finish = (result) => {
+      clearTimeout(timeout);
+      socket.off('user-joined', onJoined);
+      socket.off('join-rejected', onRejected);
+      socket.off('canvas-state', onState);
+      socket.off('canvas-delta', onState);
+      resolve(result);
+    };
+    const onJoined = (payload) => {
+      joined = payload;
+    };
+    const onState = (state) => {
+      if (joined) finish({ ...joined, state });
+    };
+    const onRejected = (rejected) => finish({ ...rejected, rejected: true });
+
+    socket.on('user-joined', onJoined);
+    socket.on('join-rejected', onRejected);
+    socket.on('canvas-state', onState);
+    socket.on('canvas-delta', onState);
+    socket.emit(event, data);
+  });
+}
+
+/**
+ * Build the user part of a join payload for a stable identity
+ * @param {string} name - User name (also used to derive the token)
+ * @returns {Object} User with name and token
+ */
+function userWith(name) {
+  return { name, token: `test-token-${name}-0123456789` };
+}
+
+module.exports = {
+  startServer,
+  waitFor,
+  waitForEach,
+  joinRoom,
+  userWith
+};
@@ -0,0 +1,82 @@
+/**
+ * Layer lock tests: locked layers stay as they are for everyone but owners
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, waitForEach, joinRoom, userWith } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+/**
+ * Join a public room as its owner (the first joiner) and an editor
+ * @param {string} roomId - Room identifier
+ * @returns {Promise<Object>} The owner's and the editor's sockets
+ */
+async function joinAsOwnerAndEditor(roomId) {
+  const owner = await server.connect();
+  assert.equal((await joinRoom(owner, { roomId, user: userWith('owner') })).user.role, 'owner');
+
+  const editor = await server.connect();
+  assert.equal((await joinRoom(editor, { roomId, user: userWith('editor') })).user.role, 'editor');
+  return { owner, editor };
+}
+
+/**
+ * Lock a layer as an owner
+ * @param {Object} owner - Owner's socket
+ * @param {string} layerId - Layer ID
+ * @returns {Promise<Array>} Layers after the change
+ */
+async function lockLayer(owner, layerId) {
+  owner.emit('layer-update', { id: layerId, changes: { locked: true } });
+  return (await waitFor(owner, 'layers-update')).layers;
+}
+
+test('only owners lock and unlock layers', async () => {
+  const { owner, editor } = await joinAsOwnerAndEditor('lock-room');
+
+  editor.emit('layer-update', { id: 'layer-1', changes: { locked: true } });
+  assert.equal((await waitFor(editor, 'event-rejected')).reason, 'Only room owners can do that');
+
+  const layers = await lockLayer(owner, 'background');
+  assert.equal(layers.find(layer => layer.id === 'background').locked, true);
+
+  // A second editor, as rejection notices are sent once a second per event
+  const other = await server.connect();
+  await joinRoom(other, { roomId: 'lock-room', user: userWith('other') });
+  const rejected = waitForEach(other, 'event-rejected', 2);
+  other.emit('layer-update', { id: 'background', changes: { locked: false } });
+  other.emit('layer-move', { id: 'background', index: 1 });
+  const rejections = await rejected;
+  assert.deepEqual(rejections.map(rejection => rejection.event).sort(), ['layer-move', 'layer-update']);
+
+  // Unlocked layers are still the editors' to change
+  editor.emit('layer-update', { id: 'layer-1', changes: { name: 'Sketch' } });
+  const updated = (await waitFor(editor, 'layers-update')).layers;
+  assert.deepEqual(updated.map(layer => [layer.id, layer.name, layer.locked]), [
+    ['background', 'Background', true],
+    ['layer-1', 'Sketch', false]
+  ]);
+});
+
+test('imports leave out operations on locked layers', async () => {
+  const { owner, editor } = await joinAsOwnerAndEditor('import-room');
+  await lockLayer(owner, 'background');
+
+  const stroke = (layerId) => ({
+    type: 'stroke',
+    data: { layerId, tool: 'brush', points: [{ x: 0, y: 0 }, { x: 10, y: 10 }], color: '#000000', lineWidth: 2 }
+  });
+  editor.emit('import-board', { operations: [stroke('background'), stroke('layer-1')] });
+
+  const [state, rejection] = await Promise.all([waitFor(editor, 'canvas-state'), waitFor(editor, 'event-rejected')]);
+  assert.deepEqual(state.operations.map(op => op.data.layerId), ['layer-1']);
+  assert.equal(rejection.reason, 'Skipped 1 invalid or locked-layer operations');
+});
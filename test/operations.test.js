@@ -0,0 +1,154 @@
+/**
+ * Operation resolver tests
+ * How clears, edits, transforms and deletes fold into what is on the board
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_LAYER_ID,
+  resolveOperations,
+  simplifyPoints,
+  getHistoryChecksum,
+  isEditOperation
+} = require('../shared/operations');
+
+/**
+ * Build a text operation
+ * @param {string} id - Operation ID
+ * @param {Object} data - Extra data (e.g. layerId)
+ * @returns {Object} Operation
+ */
+function text(id, data = {}) {
+  return { id, type: 'text', data: { x: 10, y: 20, text: id, fontSize: 16, color: '#000000', ...data } };
+}
+
+/**
+ * Get the ids of resolved drawables
+ * @param {Array} operations - Operations in drawing order
+ * @returns {Array} Ids in drawing order
+ */
+function resolvedIds(operations) {
+  return resolveOperations(operations).map(op => op.id);
+}
+
+test('a clear hides everything drawn before it', () => {
+  const operations = [
+    text('a'),
+    text('b', { layerId: 'background' }),
+    { id: 'c1', type: 'clear', data: {} },
+    text('c')
+  ];
+
+  assert.deepEqual(resolvedIds(operations), ['c']);
+});
+
+test('a clear with a layer list spares the layers it leaves out', () => {
+  const operations = [
+    text('a'),
+    text('b', { layerId: 'background' }),
+    { id: 'c1', type: 'clear', data: { layerIds: ['layer-1'] } }
+  ];
+
+  assert.deepEqual(resolvedIds(operations), ['b']);
+});
+
+test('text edits change their target in place', () => {
+  const operations = [
+    text('a'),
+    text('b'),
+    { id: 'e1', type: 'text-edit', data: { targetId: 'a', text: 'edited', color: '#ff0000' } }
+  ];
+
+  const resolved = resolveOperations(operations);
+  assert.deepEqual(resolved.map(op => op.id), ['a', 'b']);
+  assert.equal(resolved[0].data.text, 'edited');
+  assert.equal(resolved[0].data.color, '#ff0000');
+  assert.equal(resolved[0].data.fontSize, 16);
+  // The original operation is left alone
+  assert.equal(operations[0].data.text, 'a');
+});
+
+test('edits of operations hidden by a clear have no effect', () => {
+  const operations = [
+    text('a'),
+    { id: 'c1', type: 'clear', data: {} },
+    { id: 'e1', type: 'text-edit', data: { targetId: 'a', text: 'edited' } }
+  ];
+
+  assert.deepEqual(resolveOperations(operations), []);
+});
+
+test('isEditOperation tells edits from drawings', () => {
+  ['text-edit', 'transform', 'delete', 'clear'].forEach(type => {
+    assert.equal(isEditOperation({ type }), true);
+  });
+  ['stroke', 'shape', 'text', 'image', 'fill'].forEach(type => {
+    assert.equal(isEditOperation({ type }), false);
+  });
+});
+
+test('transforms scale and move every target', () => {
+  const operations = [
+    { id: 's1', type: 'stroke', data: { points: [{ x: 0, y: 0 }, { x: 10, y: 5 }], color: '#000000', lineWidth: 2 } },
+    { id: 'r1', type: 'shape', data: { kind: 'rectangle', start: { x: 0, y: 0 }, end: { x: 10, y: 10 } } },
+    text('t1'),
+    {
+      id: 'm1',
+      type: 'transform',
+      data: { targetIds: ['s1', 'r1', 't1'], scaleX: 2, scaleY: 2, translateX: 5, translateY: -5 }
+    }
+  ];
+
+  const [stroke, shape, label] = resolveOperations(operations);
+  assert.deepEqual(stroke.data.points, [{ x: 5, y: -5 }, { x: 25, y: 5 }]);
+  assert.deepEqual(shape.data.start, { x: 5, y: -5 });
+  assert.deepEqual(shape.data.end, { x: 25, y: 15 });
+  assert.equal(label.data.x, 25);
+  assert.equal(label.data.y, 35);
+  assert.equal(label.data.fontSize, 32);
+});
+
+test('edits apply in history order while targets keep their drawing order', () => {
+  const operations = [
+    text('a'),
+    text('b'),
+    { id: 'm1', type: 'transform', data: { targetIds: ['a'], translateX: 10 } },
+    { id: 'm2', type: 'transform', data: { targetIds: ['a'], scaleX: 2 } }
+  ];
+
+  const resolved = resolveOperations(operations);
+  assert.deepEqual(resolved.map(op => op.id), ['a', 'b']);
+  assert.equal(resolved[0].data.x, 40);
+});
+
+test('deletes remove their targets and later edits of them are ignored', () => {
+  const operations = [
+    text('a'),
+    text('b'),
+    text('c'),
+    { id: 'd1', type: 'delete', data: { targetIds: ['a', 'c'] } },
+    { id: 'e1', type: 'text-edit', data: { targetId: 'a', text: 'back?' } }
+  ];
+
+  assert.deepEqual(resolvedIds(operations), ['b']);
+});
+
+test('simplifyPoints keeps the ends and the corners of a stroke', () => {
+  const points = [
+    { x: 0, y: 0 }, { x: 5, y: 0.1 }, { x: 10, y: 0 },
+    { x: 10, y: 5 }, { x: 10, y: 10 }
+  ];
+
+  assert.deepEqual(simplifyPoints(points, 1), [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }]);
+  assert.equal(simplifyPoints(points, 0), points);
+});
+
+test('getHistoryChecksum changes with the operations and the layers', () => {
+  const layers = [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+  const checksum = getHistoryChecksum([text('a'), text('b')], layers);
+
+  assert.equal(getHistoryChecksum([text('a'), text('b')], layers), checksum);
+  assert.notEqual(getHistoryChecksum([text('b'), text('a')], layers), checksum);
+  assert.notEqual(getHistoryChecksum([text('a'), text('b')], [{ ...layers[0], visible: false }]), checksum);
+});
@@ -0,0 +1,89 @@
+/**
+ * Private room tests: who gets in, and how room ids and join limits are applied
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, joinRoom, userWith } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('private rooms let in users with the password and remember them', async () => {
+  const owner = await server.connect();
+  const created = await joinRoom(owner, {
+    roomId: ' studio ',
+    password: 'secret',
+    user: userWith('owner')
+  }, 'create-room');
+  // Room ids are trimmed
+  assert.equal(created.roomId, 'studio');
+  assert.equal(created.user.role, 'owner');
+
+  const guest = await server.connect();
+  const refused = await joinRoom(guest, { roomId: 'studio', user: userWith('guest') });
+  assert.equal(refused.rejected, true);
+  assert.equal(refused.reason, 'This room is private, enter its password or use an invite link');
+  const wrong = await joinRoom(guest, { roomId: 'studio', password: 'wrong', user: userWith('guest') });
+  assert.equal(wrong.reason, 'Wrong password');
+
+  const joined = await joinRoom(guest, { roomId: 'studio ', password: 'secret', user: userWith('guest') });
+  assert.equal(joined.roomId, 'studio');
+
+  // Members come back without the password
+  const again = await server.connect();
+  assert.equal((await joinRoom(again, { roomId: 'studio', user: userWith('guest') })).roomId, 'studio');
+
+  const taken = await joinRoom(await server.connect(), { roomId: 'studio', user: userWith('other') }, 'create-room');
+  assert.equal(taken.reason, 'A room with that name already exists');
+});
+
+test('invite links let users into a private room', async () => {
+  const owner = await server.connect();
+  await joinRoom(owner, { roomId: 'invite-only', user: userWith('owner') }, 'create-room');
+  owner.emit('create-invite', {});
+  const { token } = await waitFor(owner, 'invite-created');
+
+  const guest = await server.connect();
+  const refused = await joinRoom(guest, { roomId: 'invite-only', invite: 'not-a-real-invite', user: userWith('guest') });
+  assert.equal(refused.reason, 'This invite link is invalid or has expired');
+
+  const joined = await joinRoom(guest, { roomId: 'invite-only', invite: token, user: userWith('guest') });
+  assert.equal(joined.roomId, 'invite-only');
+});
+
+test('rooms created over REST have the same trimmed ids', async () => {
+  const response = await fetch(`${server.url}/api/rooms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ roomId: ' lobby ', private: false })
+  });
+  assert.equal(response.status, 201);
+  assert.equal((await response.json()).room.id, 'lobby');
+
+  const taken = await joinRoom(await server.connect(), { roomId: 'lobby', user: userWith('owner') }, 'create-room');
+  assert.equal(taken.reason, 'A room with that name already exists');
+});
+
+test('joins from one address share a rate limit, however many sockets they use', async () => {
+  const address = '127.0.0.200';
+  for (let i = 0; i < 5; i++) {
+    const socket = await server.connect(address);
+    assert.equal((await joinRoom(socket, { roomId: 'busy', user: userWith(`user${i}`) })).roomId, 'busy');
+  }
+
+  const limited = await server.connect(address);
+  limited.emit('join-room', { roomId: 'busy', user: userWith('user5') });
+  const rejection = await waitFor(limited, 'event-rejected');
+  assert.equal(rejection.reason, 'Too many requests, slow down');
+  assert.ok(rejection.retryAfter > 0);
+
+  // Other clients are not held up
+  const other = await server.connect();
+  assert.equal((await joinRoom(other, { roomId: 'busy', user: userWith('user6') })).roomId, 'busy');
+});
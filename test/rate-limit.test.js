@@ -0,0 +1,90 @@
+/**
+ * Rate limiter tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, RateLimiter, SharedBuckets, DEFAULT_LIMITS } = require('../server/rate-limit');
+
+test('a bucket allows a burst up to its capacity', () => {
+  const bucket = new TokenBucket(3, 1);
+
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+});
+
+test('a bucket refills over time, up to its capacity', () => {
+  const bucket = new TokenBucket(3, 2);
+  bucket.tokens = 0;
+  // Pretend the last refill was two seconds ago
+  bucket.lastRefill -= 2000;
+
+  assert.equal(bucket.take(3), true);
+  assert.equal(bucket.take(), false);
+});
+
+test('the wait time says when enough tokens are back', () => {
+  const bucket = new TokenBucket(5, 0.2);
+  bucket.tokens = 0;
+
+  const wait = bucket.getWaitTime();
+  assert.ok(wait > 4900 && wait <= 5000, `unexpected wait ${wait}`);
+
+  bucket.tokens = 5;
+  assert.equal(bucket.getWaitTime(), 0);
+});
+
+test('events draw from their own buckets', () => {
+  const limiter = new RateLimiter({
+    stream: { capacity: 1, refillRate: 1 },
+    action: { capacity: 1, refillRate: 1 },
+    import: { capacity: 1, refillRate: 1 },
+    join: { capacity: 1, refillRate: 0.5 },
+    chat: { capacity: 1, refillRate: 1 }
+  });
+
+  assert.equal(limiter.allow('join-room'), true);
+  // create-room shares the join bucket
+  assert.equal(limiter.allow('create-room'), false);
+  assert.ok(limiter.getRetryDelay('join-room') > 0);
+
+  assert.equal(limiter.allow('draw-path'), true);
+  assert.equal(limiter.allow('chat-message'), true);
+  // Unlisted events use the action bucket
+  assert.equal(limiter.allow('undo'), true);
+  assert.equal(limiter.allow('redo'), false);
+  assert.equal(limiter.getRetryDelay('cursor-move'), limiter.getBucket('draw-path').getWaitTime());
+});
+
+test('limiters built on the same shared buckets use them together', () => {
+  const shared = new SharedBuckets();
+  const first = new RateLimiter(DEFAULT_LIMITS, shared.acquire('10.0.0.1'));
+  const second = new RateLimiter(DEFAULT_LIMITS, shared.acquire('10.0.0.1'));
+  const elsewhere = new RateLimiter(DEFAULT_LIMITS, shared.acquire('10.0.0.2'));
+
+  for (let i = 0; i < DEFAULT_LIMITS.join.capacity; i++) {
+    assert.equal(first.allow('join-room'), true);
+  }
+  assert.equal(second.allow('join-room'), false);
+  assert.equal(elsewhere.allow('join-room'), true);
+  // Other buckets stay per limiter
+  assert.equal(second.allow('undo'), true);
+});
+
+test('shared buckets are forgotten once unused and full again', () => {
+  const shared = new SharedBuckets();
+  const buckets = shared.acquire('10.0.0.1');
+  buckets.get('join').take();
+  shared.release('10.0.0.1');
+
+  // Still draining, so kept
+  shared.prune();
+  assert.equal(shared.acquire('10.0.0.1'), buckets);
+  shared.release('10.0.0.1');
+
+  buckets.get('join').tokens = buckets.get('join').capacity;
+  shared.prune();
+  assert.equal(shared.byKey.has('10.0.0.1'), false);
+});
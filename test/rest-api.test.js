@@ -0,0 +1,100 @@
+/**
+ * REST API tests: the lobby listing and creating and deleting rooms
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, joinRoom, userWith } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+/**
+ * Send a request to the REST API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api
+ * @param {Object} options - Optional JSON body and user (for X-User-Token)
+ * @returns {Promise<Object>} Status and parsed body (null if empty)
+ */
+async function request(method, path, { body, user } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (user) headers['X-User-Token'] = user.token;
+
+  const response = await fetch(`${server.url}/api${path}`, {
+    method,
+    headers,
+    body: body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+test('rooms are created with their settings and their creator as owner', async () => {
+  const created = await request('POST', '/rooms', {
+    body: { roomId: 'workshop', private: false, readOnly: true },
+    user: userWith('owner')
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.room, { id: 'workshop', private: false, readOnly: true });
+
+  const owner = await server.connect();
+  assert.equal((await joinRoom(owner, { roomId: 'workshop', user: userWith('owner') })).user.role, 'owner');
+
+  assert.equal((await request('POST', '/rooms', { body: { roomId: 'workshop', private: false } })).status, 409);
+});
+
+test('invalid or unreachable rooms are refused', async () => {
+  assert.equal((await request('POST', '/rooms', { body: { roomId: '' } })).status, 400);
+  assert.equal((await request('POST', '/rooms', { body: { roomId: 'x'.repeat(65) } })).status, 400);
+
+  // Nobody could ever get into a private room without a password or a creator
+  const locked = await request('POST', '/rooms', { body: { roomId: 'vault' } });
+  assert.equal(locked.status, 400);
+  assert.equal(locked.body.error, 'Private rooms need a password or an X-User-Token');
+});
+
+test('the lobby lists public rooms only, most recently active first', async () => {
+  await request('POST', '/rooms', { body: { roomId: 'older', private: false } });
+  await request('POST', '/rooms', { body: { roomId: 'secret', password: 'hunter22' } });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await request('POST', '/rooms', { body: { roomId: 'newer', private: false } });
+
+  const { status, body } = await request('GET', '/rooms');
+  assert.equal(status, 200);
+
+  const ids = body.rooms.map(room => room.id);
+  assert.equal(ids.includes('secret'), false);
+  assert.ok(ids.indexOf('newer') < ids.indexOf('older'));
+  assert.deepEqual(Object.keys(body.rooms[0]).sort(), ['id', 'lastActivity', 'operations', 'users']);
+});
+
+test('only owners delete rooms, and everyone in them is told', async () => {
+  await request('POST', '/rooms', { body: { roomId: 'temporary', private: false }, user: userWith('owner') });
+  const guest = await server.connect();
+  await joinRoom(guest, { roomId: 'temporary', user: userWith('guest') });
+
+  assert.equal((await request('DELETE', '/rooms/missing', { user: userWith('owner') })).status, 404);
+  assert.equal((await request('DELETE', '/rooms/temporary')).status, 403);
+  assert.equal((await request('DELETE', '/rooms/temporary', { user: userWith('guest') })).status, 403);
+
+  const deleted = waitFor(guest, 'room-deleted');
+  assert.equal((await request('DELETE', '/rooms/temporary', { user: userWith('owner') })).status, 204);
+  assert.equal((await deleted).roomId, 'temporary');
+
+  const ids = (await request('GET', '/rooms')).body.rooms.map(room => room.id);
+  assert.equal(ids.includes('temporary'), false);
+});
+
+test('private rooms can only be deleted by members who own them', async () => {
+  await request('POST', '/rooms', { body: { roomId: 'hidden' }, user: userWith('owner') });
+
+  const outsider = await request('DELETE', '/rooms/hidden', { user: userWith('outsider') });
+  assert.equal(outsider.status, 403);
+  assert.equal(outsider.body.error, 'This room is private');
+  assert.equal((await request('DELETE', '/rooms/hidden', { user: userWith('owner') })).status, 204);
+});
@@ -0,0 +1,67 @@
+/**
+ * Role tests: removed users stay out of the room
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, joinRoom, userWith } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+/**
+ * Remove a user from the owner's room and wait until they are out
+ * @param {Object} owner - Owner's socket
+ * @param {Object} target - Removed user's socket
+ * @param {string} userId - Removed user's id
+ */
+async function kick(owner, target, userId) {
+  const kicked = waitFor(target, 'kicked');
+  owner.emit('kick-user', { userId });
+  await kicked;
+}
+
+test('a viewer removed from a public room can\'t rejoin, as an editor or at all', async () => {
+  const owner = await server.connect();
+  await joinRoom(owner, { roomId: 'gallery', user: userWith('owner') });
+  const viewer = await server.connect();
+  const { user } = await joinRoom(viewer, { roomId: 'gallery', user: userWith('viewer') });
+
+  owner.emit('set-role', { userId: user.id, role: 'viewer' });
+  await waitFor(viewer, 'users-list');
+  await kick(owner, viewer, user.id);
+
+  const rejoined = await joinRoom(await server.connect(), { roomId: 'gallery', user: userWith('viewer') });
+  assert.equal(rejoined.rejected, true);
+  assert.equal(rejoined.reason, 'You were removed from this room');
+
+  // Others still get in
+  const other = await server.connect();
+  assert.equal((await joinRoom(other, { roomId: 'gallery', user: userWith('other') })).user.role, 'editor');
+});
+
+test('a user removed from a private room can\'t rejoin with the password', async () => {
+  const owner = await server.connect();
+  await joinRoom(owner, { roomId: 'backstage', password: 'secret', user: userWith('owner') }, 'create-room');
+  const guest = await server.connect();
+  const { user } = await joinRoom(guest, { roomId: 'backstage', password: 'secret', user: userWith('guest') });
+
+  await kick(owner, guest, user.id);
+
+  const rejoined = await joinRoom(await server.connect(), {
+    roomId: 'backstage',
+    password: 'secret',
+    user: userWith('guest')
+  });
+  assert.equal(rejoined.reason, 'You were removed from this room');
+
+  const response = await fetch(`${server.url}/rooms/backstage/export.json`, {
+    headers: { 'X-User-Token': userWith('guest').token }
+  });
+  assert.equal(response.status, 403);
+});
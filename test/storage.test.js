@@ -0,0 +1,141 @@
+/**
+ * Room storage tests: journals survive unloading rooms and restarts
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage, FileStorage } = require('../server/storage');
+const RoomManager = require('../server/rooms');
+
+/**
+ * Build a rectangle operation by a user
+ * @param {string} userId - Author
+ * @param {number} x - Left edge, to tell operations apart
+ * @returns {Object} Operation as the server receives it
+ */
+function rect(userId, x = 0) {
+  return {
+    type: 'shape',
+    userId,
+    data: { kind: 'rectangle', start: { x, y: 0 }, end: { x: x + 10, y: 10 }, color: '#000000', lineWidth: 2 }
+  };
+}
+
+// Directories made by the tests, removed once they are done
+const directories = [];
+
+/**
+ * Create an empty storage directory
+ * @returns {string} Directory path
+ */
+function createDirectory() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-storage-'));
+  directories.push(directory);
+  return directory;
+}
+
+after(() => {
+  directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+test('memory storage keeps copies of the entries it is given', () => {
+  const storage = new MemoryStorage();
+  const entry = { action: 'add', operation: { id: 'op1', undone: false } };
+
+  storage.append('room', entry);
+  entry.operation.undone = true;
+  storage.load('room')[0].operation.id = 'changed';
+
+  assert.deepEqual(storage.load('room'), [{ action: 'add', operation: { id: 'op1', undone: false } }]);
+});
+
+test('a room unloaded from memory comes back with its history and redo stacks', () => {
+  const manager = new RoomManager(new MemoryStorage());
+  const room = manager.getOrCreateRoom('room');
+  room.state.addOperation(rect('alice', 0));
+  const b1 = room.state.addOperation(rect('bob', 20));
+  room.state.undo('bob');
+
+  // Unload it, as scheduleCleanup does for empty rooms
+  manager.rooms.delete('room');
+  const reloaded = manager.getOrCreateRoom('room');
+
+  assert.notEqual(reloaded, room);
+  assert.deepEqual(reloaded.state.getState(), room.state.getState());
+  assert.equal(reloaded.state.redo('bob').id, b1.id);
+  assert.equal(reloaded.state.getOperation(b1.id).undone, false);
+});
+
+test('file storage writes appended entries in one batch on flush', () => {
+  const directory = createDirectory();
+  const storage = new FileStorage(directory);
+
+  storage.append('room', { action: 'add', seq: 1 });
+  storage.append('room', { action: 'undo', seq: 2 });
+  assert.equal(fs.existsSync(storage.getFilePath('room')), false);
+  assert.equal(storage.has('room'), true);
+
+  storage.flush();
+  assert.equal(fs.readFileSync(storage.getFilePath('room'), 'utf8').trim().split('\n').length, 2);
+  assert.deepEqual(storage.load('room').map(entry => entry.seq), [1, 2]);
+});
+
+test('file storage reads buffered entries and drops those a rewrite replaces', () => {
+  const storage = new FileStorage(createDirectory());
+
+  storage.append('room', { action: 'add', seq: 1 });
+  assert.deepEqual(storage.load('room').map(entry => entry.seq), [1]);
+
+  storage.append('room', { action: 'add', seq: 2 });
+  storage.rewrite('room', [{ action: 'snapshot', sequence: 2 }]);
+  storage.flush();
+  assert.deepEqual(storage.load('room'), [{ action: 'snapshot', sequence: 2 }]);
+
+  storage.append('room', { action: 'add', seq: 3 });
+  storage.remove('room');
+  storage.flush();
+  assert.equal(storage.has('room'), false);
+});
+
+test('file storage skips a truncated last line', () => {
+  const storage = new FileStorage(createDirectory());
+  fs.writeFileSync(storage.getFilePath('room'), '{"action":"add","seq":1}\n{"action":"un');
+
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.deepEqual(storage.load('room'), [{ action: 'add', seq: 1 }]);
+  } finally {
+    console.error = error;
+  }
+});
+
+test('a room is restored after a restart and its journal compacted', () => {
+  const directory = createDirectory();
+  const before = new RoomManager(new FileStorage(directory));
+  const room = before.getOrCreateRoom('team room');
+  room.state.addOperation(rect('alice', 0));
+  const b1 = room.state.addOperation(rect('bob', 20));
+  room.state.undo('bob');
+  room.state.createLayer('Notes');
+  before.storage.flush();
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const after = new RoomManager(new FileStorage(directory));
+    const restored = after.getOrCreateRoom('team room');
+
+    assert.deepEqual(restored.state.getState(), room.state.getState());
+    assert.equal(restored.state.redo('bob').id, b1.id);
+    after.storage.flush();
+
+    const entries = after.storage.load('team room');
+    assert.deepEqual(entries.map(entry => entry.action), ['snapshot', 'redo']);
+  } finally {
+    console.log = log;
+  }
+});
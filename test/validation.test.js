@@ -0,0 +1,87 @@
+/**
+ * Socket event validation tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateEvent, validateRoomSettings, normalizeRoomId, pickOperationData } = require('../server/validation');
+
+test('shapes keep only the fields they are drawn with', () => {
+  const shape = {
+    type: 'shape',
+    kind: 'arrow',
+    start: { x: 0, y: 0 },
+    end: { x: 40, y: 30 },
+    color: '#000000',
+    fillColor: null,
+    lineWidth: 3,
+    fontSize: 24
+  };
+
+  assert.equal(validateEvent('stroke-complete', shape), null);
+  assert.deepEqual(Object.keys(pickOperationData('shape', shape)).sort(), [
+    'color', 'end', 'fillColor', 'kind', 'lineWidth', 'start', 'type'
+  ]);
+  assert.equal(validateEvent('stroke-complete', { ...shape, kind: 'star' }), 'Unknown shape');
+});
+
+test('events without a payload accept anything', () => {
+  ['redo', 'clear-canvas', 'history-checksum', 'request-state'].forEach(event => {
+    assert.equal(validateEvent(event, 'whatever'), null);
+  });
+  assert.equal(validateEvent('undo', undefined), null);
+});
+
+test('other events need an object payload', () => {
+  assert.equal(validateEvent('cursor-move', null), 'Payload must be an object');
+  assert.equal(validateEvent('cursor-move', [1, 2]), 'Payload must be an object');
+  assert.equal(validateEvent('no-such-event', {}), 'Unknown event');
+});
+
+test('join-room checks the user it is sent with', () => {
+  assert.equal(validateEvent('join-room', { roomId: 'lobby', user: { name: 'Ada', color: '#45B7D1' } }), null);
+  assert.equal(validateEvent('join-room', { user: { name: 'x'.repeat(51) } }), 'Name must be at most 50 characters');
+  assert.equal(
+    validateEvent('join-room', { user: { color: 'red;background:url(x)' } }),
+    'Invalid user color'
+  );
+  assert.equal(validateEvent('join-room', { lastSequence: -1 }), 'Invalid sequence number');
+});
+
+test('finished strokes need valid points', () => {
+  const stroke = { type: 'stroke', tool: 'brush', points: [{ x: 0, y: 0 }, { x: 5, y: 5 }], color: '#000000', lineWidth: 3 };
+
+  assert.equal(validateEvent('stroke-complete', stroke), null);
+  assert.notEqual(validateEvent('stroke-complete', { ...stroke, points: [{ x: 'a', y: 0 }] }), null);
+  assert.notEqual(validateEvent('stroke-complete', { ...stroke, type: 'script' }), null);
+});
+
+test('chat messages must have some text', () => {
+  assert.equal(validateEvent('chat-message', { text: 'hi' }), null);
+  assert.equal(validateEvent('chat-message', { text: '   ' }), 'Messages must be 1 to 500 characters');
+  assert.equal(validateEvent('chat-message', { text: 'x'.repeat(501) }), 'Messages must be 1 to 500 characters');
+});
+
+test('pickOperationData drops fields an operation doesn\'t use', () => {
+  const data = pickOperationData('stroke', {
+    points: [{ x: 0, y: 0, extra: true }],
+    color: '#000000',
+    lineWidth: 3,
+    userId: 'someone-else'
+  });
+
+  assert.equal(data.userId, undefined);
+  assert.equal(data.points[0].extra, undefined);
+});
+
+test('room settings need a room id', () => {
+  assert.equal(validateRoomSettings({ roomId: 'team', private: true, password: 'secret' }), null);
+  assert.equal(validateRoomSettings({ roomId: ' ' }), 'Room id must be 1 to 64 characters');
+  assert.equal(validateRoomSettings({ roomId: 'team', private: 'yes' }), 'Invalid private flag');
+});
+
+test('room ids are trimmed, and a missing one means the default room', () => {
+  assert.equal(normalizeRoomId(' team '), 'team');
+  assert.equal(normalizeRoomId(undefined), 'default');
+  assert.equal(normalizeRoomId('   '), 'default');
+});